@@ -0,0 +1,42 @@
+// Local webhook receiver for trying out deliveries.
+//
+//   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js
+//
+// Start the app with WEBHOOK_ALLOW_PRIVATE=true (webhooks to localhost are
+// refused otherwise), register http://localhost:4000/ as a webhook in the
+// manager dashboard, then use its Test button. Each delivery is printed with whether its signature
+// checks out against WEBHOOK_SECRET. RECEIVER_FAIL=3 answers the first three
+// requests with a 500 so the retry queue can be watched.
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT   = parseInt(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL) || 0;
+
+function verify(req, body) {
+  if (!SECRET) return 'not checked (no WEBHOOK_SECRET)';
+  const timestamp = req.headers['x-coach-timestamp'] || '';
+  const expected  = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  const given     = String(req.headers['x-coach-signature'] || '');
+  const ok = given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+  return ok ? 'valid' : 'INVALID';
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const failing = failuresLeft > 0;
+    if (failing) failuresLeft--;
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event:     ${req.headers['x-coach-event']}  delivery: ${req.headers['x-coach-delivery']}`);
+    console.log(`  signature: ${verify(req, body)}`);
+    try { console.log(JSON.stringify(JSON.parse(body), null, 2)); } catch (_) { console.log(body); }
+    if (failing) console.log('  → answering 500 (RECEIVER_FAIL)');
+    res.writeHead(failing ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !failing }));
+  });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
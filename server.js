@@ -1,13 +1,273 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { promisify } = require('util');
+const { spawn } = require('child_process');
 const express = require('express');
 const Anthropic = require('@anthropic-ai/sdk');
 const { Pool } = require('pg');
+const multer = require('multer');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 app.use(express.json({ limit: '4mb' }));
 app.use(express.static('public'));
 
-const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+// ── LLM providers ─────────────────────────────────────────
+// Routes reach the model through `llm`, never an SDK directly. Every call names
+// a role so each task can use its own model, and every result carries token
+// usage in the same shape whichever provider served it. LLM_PROVIDER=mock (the
+// default when no API key is set) swaps in a deterministic offline provider.
+const LLM_DEFAULT_MODEL = process.env.LLM_MODEL || 'claude-sonnet-4-6';
+const LLM_MODELS = {
+  homeowner: process.env.LLM_MODEL_HOMEOWNER || LLM_DEFAULT_MODEL,
+  coach:     process.env.LLM_MODEL_COACH     || LLM_DEFAULT_MODEL,
+  analyzer:  process.env.LLM_MODEL_ANALYZER  || LLM_DEFAULT_MODEL,
+};
+const LLM_TIMEOUT_MS  = parseInt(process.env.LLM_TIMEOUT_MS) || 60_000;
+const LLM_MAX_RETRIES = process.env.LLM_MAX_RETRIES ? parseInt(process.env.LLM_MAX_RETRIES) : 3;
+
+function llmResult(model, message) {
+  return {
+    model,
+    content: message.content,
+    text: message.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+    usage: { inputTokens: message.usage?.input_tokens || 0, outputTokens: message.usage?.output_tokens || 0 },
+  };
+}
+
+function createAnthropicProvider() {
+  // Retries are handled by withLLMRetries so every provider behaves the same
+  const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, timeout: LLM_TIMEOUT_MS, maxRetries: 0 });
+  const request = (model, p) => ({
+    model,
+    max_tokens: p.maxTokens || 1024,
+    messages: p.messages,
+    ...(p.system     ? { system: p.system }          : {}),
+    ...(p.tools      ? { tools: p.tools }            : {}),
+    ...(p.toolChoice ? { tool_choice: p.toolChoice } : {}),
+  });
+  return {
+    name: 'anthropic',
+    async complete(model, params, { signal } = {}) {
+      return llmResult(model, await client.messages.create(request(model, params), { signal }));
+    },
+    async stream(model, params, { onText, signal } = {}) {
+      const stream = client.messages.stream(request(model, params), { signal });
+      if (onText) stream.on('text', onText);
+      return llmResult(model, await stream.finalMessage());
+    },
+  };
+}
+
+// Scripted replies come from LLM_MOCK_SCRIPT, a JSON file of { role: [reply, ...] }
+// consumed in order per role (the last reply repeats). A reply is a string,
+// { text }, { toolInput } or { error: { status, message } } to simulate a failure.
+// Without a script, homeowner turns cycle through canned lines and tool calls
+// (the coach, the analyzer) get input shaped from the tool's schema.
+const MOCK_HOMEOWNER_LINES = [
+  "Hi... can I help you? I'm kind of in the middle of something.",
+  "Okay, but I'm not really looking to replace my roof right now.",
+  "How much is something like that going to cost me?",
+  "I'd have to talk it over with my spouse before deciding anything.",
+  "Alright, I guess you can take a quick look. When would that be?",
+];
+
+function mockToolInput(schema, key = 'value') {
+  if (!schema) return null;
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, v]) => [k, mockToolInput(v, k)]));
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => mockToolInput(schema.items, key));
+    case 'integer':
+    case 'number': {
+      const min = schema.minimum ?? 0, max = schema.maximum ?? 100;
+      return Math.round(min + (max - min) * 0.7);
+    }
+    case 'boolean': return true;
+    default:        return `Mock ${key}.`;
+  }
+}
+
+function mockText(role, messages) {
+  if (role === 'analyzer') {
+    return ['Opening', 'Objection Handling', 'Rapport', 'Closing Attempt'].map(c => `${c}: 7/10 — Mock feedback.`).join('\n') + '\nOverall: 7/10 — Mock summary.';
+  }
+  const turns = messages.filter(m => m.role === 'user');
+  return MOCK_HOMEOWNER_LINES[Math.max(turns.length - 1, 0) % MOCK_HOMEOWNER_LINES.length];
+}
+
+function createMockProvider() {
+  const script = process.env.LLM_MOCK_SCRIPT ? JSON.parse(require('fs').readFileSync(process.env.LLM_MOCK_SCRIPT, 'utf8')) : {};
+  const cursors = {};
+  let toolCalls = 0;
+  const countTokens = value => Math.ceil(JSON.stringify(value || '').length / 4);
+
+  function reply(role, model, params) {
+    const queue = script[role] || [];
+    const item = queue.length ? queue[Math.min(cursors[role] = (cursors[role] ?? -1) + 1, queue.length - 1)] : null;
+    if (item?.error) throw Object.assign(new Error(item.error.message || 'Mock provider error'), { status: item.error.status });
+
+    let content;
+    const tool = params.toolChoice?.type === 'tool' && (params.tools || []).find(t => t.name === params.toolChoice.name);
+    if (tool) {
+      content = [{ type: 'tool_use', id: `mock_tool_${++toolCalls}`, name: tool.name, input: item?.toolInput || mockToolInput(tool.input_schema) }];
+    } else if (item != null) {
+      content = [{ type: 'text', text: typeof item === 'string' ? item : item.text }];
+    } else {
+      content = [{ type: 'text', text: mockText(role, params.messages) }];
+    }
+    return llmResult(model, {
+      content,
+      usage: { input_tokens: countTokens([params.system, params.messages, params.tools]), output_tokens: countTokens(content) },
+    });
+  }
+
+  return {
+    name: 'mock',
+    async complete(model, params) {
+      return reply(params.role, model, params);
+    },
+    async stream(model, params, { onText, signal } = {}) {
+      const result = reply(params.role, model, params);
+      for (const piece of result.text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+        if (onText) onText(piece);
+        await new Promise(r => setImmediate(r));
+      }
+      return result;
+    },
+  };
+}
+
+const LLM_PROVIDERS = { anthropic: createAnthropicProvider, mock: createMockProvider };
+const LLM_PROVIDER  = process.env.LLM_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'mock');
+if (!LLM_PROVIDERS[LLM_PROVIDER]) throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected ${Object.keys(LLM_PROVIDERS).join(' or ')}).`);
+
+// Rate limits, overload, 5xx and dropped connections are retried with backoff
+// (honouring retry-after); a stream is only retried if nothing was sent yet.
+function isRetryableLLMError(err) {
+  if (err.noRetry || err.name === 'AbortError' || err instanceof Anthropic.APIUserAbortError) return false;
+  return err.status == null || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+async function withLLMRetries(fn, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= LLM_MAX_RETRIES || signal?.aborted || !isRetryableLLMError(err)) throw err;
+      const retryAfter = parseFloat(err.headers?.['retry-after']);
+      const delay = retryAfter > 0 ? Math.min(retryAfter * 1000, 30_000) : 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+      console.warn(`LLM call failed (${err.status || err.message}); retry ${attempt + 1}/${LLM_MAX_RETRIES} in ${delay}ms`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+const llm = (() => {
+  const provider = LLM_PROVIDERS[LLM_PROVIDER]();
+  const modelFor = role => {
+    if (!LLM_MODELS[role]) throw new Error(`Unknown LLM role "${role}".`);
+    return LLM_MODELS[role];
+  };
+  return {
+    provider: provider.name,
+    complete(role, params, opts = {}) {
+      const model = modelFor(role);
+      return withLLMRetries(() => provider.complete(model, { ...params, role }, opts), opts.signal);
+    },
+    stream(role, params, opts = {}) {
+      const model = modelFor(role);
+      let started = false;
+      const onText = delta => { started = true; if (opts.onText) opts.onText(delta); };
+      return withLLMRetries(async () => {
+        try {
+          return await provider.stream(model, { ...params, role }, { ...opts, onText });
+        } catch (err) {
+          if (started) err.noRetry = true;
+          throw err;
+        }
+      }, opts.signal);
+    },
+  };
+})();
+
+// ── Usage & budgets ───────────────────────────────────────
+// Every model call is logged to llm_usage with its cost so spend can be reported
+// by rep and day, and so /chat can stop a rep or team at their daily limit.
+// Prices are USD per million tokens; LLM_PRICES (JSON, same shape) adds or overrides models.
+const LLM_PRICES = {
+  'claude-sonnet-4-6': { input: 3, output: 15 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5':  { input: 1, output: 5 },
+  'claude-opus-4-1':   { input: 15, output: 75 },
+  ...(process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {}),
+};
+// Used for teams that haven't set their own limits; unset means unlimited.
+const REP_DAILY_LIMIT_USD  = parseFloat(process.env.REP_DAILY_LIMIT_USD) || null;
+const TEAM_DAILY_LIMIT_USD = parseFloat(process.env.TEAM_DAILY_LIMIT_USD) || null;
+
+function usageCost(model, inputTokens, outputTokens) {
+  const price = LLM_PRICES[model] || LLM_PRICES[LLM_DEFAULT_MODEL] || { input: 0, output: 0 };
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+// Adds one call to a per-session tally keyed by role and logs it against
+// `owner` (the rep whose session it was). Logging failures never fail the request.
+async function trackUsage(owner, { route, sessionId = null, tally = null }, role, result) {
+  const { inputTokens, outputTokens } = result.usage;
+  const cost = usageCost(result.model, inputTokens, outputTokens);
+  if (tally) {
+    const entry = tally[role] || (tally[role] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    entry.calls += 1;
+    entry.inputTokens  += inputTokens;
+    entry.outputTokens += outputTokens;
+    entry.costUsd = Math.round(((entry.costUsd || 0) + cost) * 1e6) / 1e6;
+    entry.model = result.model;
+  }
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage (organization_id, team_id, user_id, session_id, route, role, model, input_tokens, output_tokens, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [owner.organizationId, owner.teamId || null, owner.id || null, sessionId, route, role, result.model, inputTokens, outputTokens, cost]
+    );
+  } catch (err) { console.error('Usage log error:', err.message); }
+}
+
+async function teamBudget(teamId) {
+  const team = teamId ? (await pool.query('SELECT daily_limit_usd, rep_daily_limit_usd FROM teams WHERE id = $1', [teamId])).rows[0] : null;
+  return {
+    teamLimitUsd: team?.daily_limit_usd != null ? Number(team.daily_limit_usd) : TEAM_DAILY_LIMIT_USD,
+    repLimitUsd:  team?.rep_daily_limit_usd != null ? Number(team.rep_daily_limit_usd) : REP_DAILY_LIMIT_USD,
+  };
+}
+
+// Returns the message to show once the rep or their team has used today's budget.
+async function usageBudgetError(user) {
+  const { teamLimitUsd, repLimitUsd } = await teamBudget(user.teamId);
+  if (teamLimitUsd == null && repLimitUsd == null) return null;
+  const spent = (await pool.query(
+    `SELECT COALESCE(SUM(cost_usd) FILTER (WHERE user_id = $1), 0) AS rep,
+            COALESCE(SUM(cost_usd) FILTER (WHERE team_id = $2), 0) AS team
+     FROM llm_usage WHERE (user_id = $1 OR team_id = $2) AND created_at >= date_trunc('day', NOW())`,
+    [user.id, user.teamId || null]
+  )).rows[0];
+  if (repLimitUsd != null && Number(spent.rep) >= repLimitUsd) {
+    return `You've reached today's practice limit ($${repLimitUsd.toFixed(2)} of AI usage). It resets at midnight — ask your manager if you need more.`;
+  }
+  if (teamLimitUsd != null && user.teamId && Number(spent.team) >= teamLimitUsd) {
+    return `Your team has reached today's practice limit ($${teamLimitUsd.toFixed(2)} of AI usage). It resets at midnight — ask your manager if you need more.`;
+  }
+  return null;
+}
 
 // ── PostgreSQL ────────────────────────────────────────────
 const pool = new Pool({
@@ -16,6 +276,39 @@ const pool = new Pool({
 });
 
 async function initDB() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id         SERIAL PRIMARY KEY,
+      name       TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      name            TEXT NOT NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id            SERIAL PRIMARY KEY,
+      email         TEXT NOT NULL UNIQUE,
+      name          TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role          TEXT NOT NULL DEFAULT 'rep' CHECK (role IN ('rep', 'manager', 'admin')),
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    )
+  `);
   await pool.query(`
     CREATE TABLE IF NOT EXISTS sessions (
       id           SERIAL PRIMARY KEY,
@@ -44,475 +337,4478 @@ async function initDB() {
       read_at    TIMESTAMPTZ
     )
   `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS live_sessions (
+      id                TEXT PRIMARY KEY,
+      rep_name          TEXT,
+      persona           TEXT NOT NULL DEFAULT 'standard',
+      scenario          TEXT NOT NULL DEFAULT 'cold-knock',
+      weak_areas        JSONB NOT NULL DEFAULT '[]',
+      drill_objection   TEXT,
+      session_goal      TEXT,
+      curriculum_lesson INTEGER,
+      history           JSONB NOT NULL DEFAULT '[]',
+      version           INTEGER NOT NULL DEFAULT 0,
+      created_at        TIMESTAMPTZ DEFAULT NOW(),
+      updated_at        TIMESTAMPTZ DEFAULT NOW(),
+      ended_at          TIMESTAMPTZ
+    )
+  `);
+  for (const table of ['sessions', 'session_feedback', 'live_sessions']) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+  }
+  await pool.query('CREATE INDEX IF NOT EXISTS live_sessions_user_idx ON live_sessions (user_id, updated_at DESC)');
+  await pool.query('ALTER TABLE session_feedback ADD COLUMN IF NOT EXISTS author_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE');
+  for (const table of ['users', 'sessions', 'session_feedback', 'live_sessions', 'knowledge_files']) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL`);
+  }
+  await pool.query('ALTER TABLE knowledge_files ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS team_managers (
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      PRIMARY KEY (team_id, user_id)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS sessions_team_idx ON sessions (team_id, created_at DESC)');
+  for (const table of ['custom_personas', 'custom_scenarios']) {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id              SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        name            TEXT NOT NULL,
+        icon            TEXT,
+        description     TEXT NOT NULL,
+        difficulty      TEXT NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+        objections      JSONB NOT NULL DEFAULT '[]',
+        starting_warmth INTEGER NOT NULL DEFAULT 5,
+        created_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at      TIMESTAMPTZ DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+  }
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS curriculum_lessons (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      position        INTEGER NOT NULL,
+      title           TEXT NOT NULL,
+      description     TEXT,
+      instructions    TEXT NOT NULL,
+      persona         TEXT,
+      scenario        TEXT,
+      pass_rules      JSONB NOT NULL DEFAULT '[]',
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS lesson_progress (
+      user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      lesson_id       INTEGER NOT NULL REFERENCES curriculum_lessons(id) ON DELETE CASCADE,
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      last_attempt_at TIMESTAMPTZ,
+      passed_at       TIMESTAMPTZ,
+      PRIMARY KEY (user_id, lesson_id)
+    )
+  `);
+  await pool.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS lesson_id INTEGER REFERENCES curriculum_lessons(id) ON DELETE SET NULL');
+  await pool.query('ALTER TABLE organizations ADD COLUMN IF NOT EXISTS curriculum_seeded BOOLEAN NOT NULL DEFAULT FALSE');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS objections (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      name            TEXT NOT NULL,
+      phrase          TEXT NOT NULL,
+      created_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (organization_id, name)
+    )
+  `);
+  await pool.query('ALTER TABLE organizations ADD COLUMN IF NOT EXISTS objections_seeded BOOLEAN NOT NULL DEFAULT FALSE');
+  // Sessions whose scoring failed keep their conversation so a manager can re-score them
+  await pool.query("ALTER TABLE sessions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'scored'");
+  await pool.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS history JSONB');
+  await pool.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS scoring_error TEXT');
+  // One row per catalog objection the analyzer found in a scored session
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS session_objections (
+      id           SERIAL PRIMARY KEY,
+      session_id   INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      user_id      INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      team_id      INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+      objection_id INTEGER NOT NULL REFERENCES objections(id) ON DELETE CASCADE,
+      quote        TEXT,
+      score        INTEGER NOT NULL,
+      feedback     TEXT,
+      created_at   TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS session_objections_user_idx ON session_objections (user_id, objection_id, created_at DESC)');
+  await pool.query('CREATE INDEX IF NOT EXISTS session_objections_team_idx ON session_objections (team_id, created_at DESC)');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+      team_id         INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+      user_id         INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      session_id      TEXT,
+      route           TEXT NOT NULL,
+      role            TEXT NOT NULL,
+      model           TEXT NOT NULL,
+      input_tokens    INTEGER NOT NULL DEFAULT 0,
+      output_tokens   INTEGER NOT NULL DEFAULT 0,
+      cost_usd        NUMERIC(12, 6) NOT NULL DEFAULT 0,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS llm_usage_team_idx ON llm_usage (team_id, created_at)');
+  await pool.query('CREATE INDEX IF NOT EXISTS llm_usage_user_idx ON llm_usage (user_id, created_at)');
+  // Daily spend limits in USD; NULL falls back to the REP_/TEAM_DAILY_LIMIT_USD defaults
+  await pool.query('ALTER TABLE teams ADD COLUMN IF NOT EXISTS daily_limit_usd NUMERIC(10, 2)');
+  await pool.query('ALTER TABLE teams ADD COLUMN IF NOT EXISTS rep_daily_limit_usd NUMERIC(10, 2)');
+  // Token usage per LLM role, tallied while live and kept with the scored session
+  await pool.query("ALTER TABLE live_sessions ADD COLUMN IF NOT EXISTS usage JSONB NOT NULL DEFAULT '{}'");
+  await pool.query("ALTER TABLE sessions ADD COLUMN IF NOT EXISTS usage JSONB NOT NULL DEFAULT '{}'");
+  // Coaching is kept beside the roleplay history (history[turn] is the homeowner line it follows)
+  await pool.query("ALTER TABLE live_sessions ADD COLUMN IF NOT EXISTS coach_mode TEXT NOT NULL DEFAULT 'live'");
+  await pool.query("ALTER TABLE live_sessions ADD COLUMN IF NOT EXISTS coaching JSONB NOT NULL DEFAULT '[]'");
+  // What the rep practiced against, so finished sessions can feed the per-scenario ratings
+  await pool.query('ALTER TABLE live_sessions ADD COLUMN IF NOT EXISTS skepticism INTEGER NOT NULL DEFAULT 3');
+  for (const col of ['persona TEXT', 'scenario TEXT', 'skepticism INTEGER']) {
+    await pool.query(`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ${col}`);
+  }
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rep_ratings (
+      user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      scenario   TEXT NOT NULL,
+      rating     INTEGER NOT NULL,
+      sessions   INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (user_id, scenario)
+    )
+  `);
+  // Feedback can point at one rep turn of the stored conversation, or override
+  // one category's AI score (ai_score keeps what the analyzer gave)
+  for (const col of ['turn INTEGER', 'quote TEXT', 'category TEXT', 'score INTEGER', 'ai_score INTEGER']) {
+    await pool.query(`ALTER TABLE session_feedback ADD COLUMN IF NOT EXISTS ${col}`);
+  }
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS session_feedback_override_idx ON session_feedback (session_id, category) WHERE category IS NOT NULL');
+  await pool.query('CREATE INDEX IF NOT EXISTS session_feedback_session_idx ON session_feedback (session_id)');
+  // One row per uploaded rep turn; attached to the saved session when it ends
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS voice_clips (
+      id              SERIAL PRIMARY KEY,
+      user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      team_id         INTEGER REFERENCES teams(id) ON DELETE SET NULL,
+      live_session_id TEXT,
+      session_id      INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+      turn            INTEGER,
+      transcript      TEXT,
+      metrics         JSONB NOT NULL,
+      mime_type       TEXT,
+      audio           BYTEA,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS voice_clips_live_idx ON voice_clips (live_session_id)');
+  await pool.query('CREATE INDEX IF NOT EXISTS voice_clips_session_idx ON voice_clips (session_id, turn)');
+  // Streaks, XP and badges are recomputed from scored sessions and kept here
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rep_progress (
+      user_id          INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      xp               INTEGER NOT NULL DEFAULT 0,
+      current_streak   INTEGER NOT NULL DEFAULT 0,
+      best_streak      INTEGER NOT NULL DEFAULT 0,
+      last_practice_on DATE,
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rep_badges (
+      user_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      badge     TEXT NOT NULL,
+      earned_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (user_id, badge)
+    )
+  `);
+  // A competition is a leaderboard over a fixed window; team_id NULL means the whole organization
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS competitions (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      team_id         INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      name            TEXT NOT NULL,
+      metric          TEXT NOT NULL DEFAULT 'overall',
+      scenario        TEXT,
+      min_sessions    INTEGER NOT NULL DEFAULT 1,
+      starts_at       TIMESTAMPTZ NOT NULL,
+      ends_at         TIMESTAMPTZ NOT NULL,
+      winner_id       INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      finalized_at    TIMESTAMPTZ,
+      created_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS competitions_org_idx ON competitions (organization_id, ends_at DESC)');
+  // One row per rep turn of a saved session: the rep's line, the homeowner's reply and the coaching on it
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS session_turns (
+      session_id     INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      turn           INTEGER NOT NULL,
+      rep_text       TEXT NOT NULL,
+      voice_note     TEXT,
+      homeowner_text TEXT,
+      coaching       JSONB,
+      PRIMARY KEY (session_id, turn)
+    )
+  `);
+  // A retry replays a saved session from one of its turns
+  for (const table of ['sessions', 'live_sessions']) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS retry_of INTEGER REFERENCES sessions(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS retry_turn INTEGER`);
+  }
+  await pool.query('CREATE INDEX IF NOT EXISTS sessions_retry_idx ON sessions (retry_of) WHERE retry_of IS NOT NULL');
+  // Outbound webhooks; team_id NULL receives events from every team in the organization
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id              SERIAL PRIMARY KEY,
+      organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+      team_id         INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      url             TEXT NOT NULL,
+      secret          TEXT NOT NULL,
+      events          JSONB NOT NULL DEFAULT '[]',
+      active          BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id              SERIAL PRIMARY KEY,
+      webhook_id      INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event           TEXT NOT NULL,
+      payload         JSONB NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+      response_status INTEGER,
+      last_error      TEXT,
+      delivered_at    TIMESTAMPTZ,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'");
+  await pool.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_hook_idx ON webhook_deliveries (webhook_id, created_at DESC)');
+  // One weekly digest per team and send date
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS digest_runs (
+      team_id    INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      sent_on    DATE NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (team_id, sent_on)
+    )
+  `);
+  // Knowledge documents keep every uploaded revision; the index reads the active one
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS knowledge_file_versions (
+      id            SERIAL PRIMARY KEY,
+      file_id       INTEGER NOT NULL REFERENCES knowledge_files(id) ON DELETE CASCADE,
+      version       INTEGER NOT NULL,
+      content       TEXT NOT NULL,
+      source_type   TEXT NOT NULL DEFAULT 'text',
+      original_name TEXT,
+      uploaded_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (file_id, version)
+    )
+  `);
+  await pool.query('ALTER TABLE knowledge_files ADD COLUMN IF NOT EXISTS active_version_id INTEGER REFERENCES knowledge_file_versions(id) ON DELETE SET NULL');
+  await pool.query('ALTER TABLE knowledge_files ALTER COLUMN content DROP NOT NULL');
+  await pool.query(`
+    INSERT INTO knowledge_file_versions (file_id, version, content, created_at)
+    SELECT k.id, 1, k.content, k.uploaded_at FROM knowledge_files k
+    WHERE k.content IS NOT NULL AND NOT EXISTS (SELECT 1 FROM knowledge_file_versions v WHERE v.file_id = k.id)
+  `);
+  await pool.query(`
+    UPDATE knowledge_files k SET active_version_id = v.id
+    FROM knowledge_file_versions v
+    WHERE k.active_version_id IS NULL AND v.file_id = k.id AND v.version = 1
+  `);
+  await ensureDefaultTenant();
+  await seedCurriculum();
+  await seedObjections();
+  await backfillRepProgress();
+  await backfillSessionTurns();
+  await bootstrapAdmin();
   console.log('Database ready.');
 }
-initDB().catch(err => console.error('DB init error:', err.message));
+const dbReady = initDB().catch(err => console.error('DB init error:', err.message));
+
+// ── Auth ──────────────────────────────────────────────────
+const scrypt = promisify(crypto.scrypt);
+const AUTH_COOKIE    = 'd2d_auth';
+const AUTH_TTL_DAYS  = parseInt(process.env.AUTH_TTL_DAYS) || 30;
+const MANAGER_ROLES  = ['manager', 'admin'];
+const ROLES          = ['rep', 'manager', 'admin'];
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  const actual   = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  const cookies = req.headers.cookie || '';
+  for (const part of cookies.split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === AUTH_COOKIE) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+function publicUser(u) {
+  return { id: u.id, email: u.email, name: u.name, role: u.role, organizationId: u.organization_id, teamId: u.team_id };
+}
+
+function validPassword(password) {
+  return typeof password === 'string' && password.length >= 8;
+}
+
+async function createUser({ email, name, password, role = 'rep', organizationId, teamId = null }) {
+  const result = await pool.query(
+    `INSERT INTO users (email, name, password_hash, role, organization_id, team_id)
+     VALUES (LOWER($1), $2, $3, $4, $5, $6) RETURNING *`,
+    [email.trim(), name.trim(), await hashPassword(password), role, organizationId, teamId]
+  );
+  return result.rows[0];
+}
+
+async function bootstrapAdmin() {
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS n FROM users');
+  if (rows[0].n > 0) return;
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !validPassword(ADMIN_PASSWORD)) {
+    console.warn('No users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD (8+ chars) to create the first admin account.');
+    return;
+  }
+  await createUser({
+    email: ADMIN_EMAIL, name: process.env.ADMIN_NAME || 'Admin', password: ADMIN_PASSWORD, role: 'admin',
+    organizationId: defaultTenant.organizationId,
+  });
+  console.log(`Created admin account ${ADMIN_EMAIL}.`);
+}
+
+async function authenticate(req, res, next) {
+  const token = readToken(req);
+  if (!token) return next();
+  try {
+    const result = await pool.query(
+      `SELECT u.* FROM auth_sessions a JOIN users u ON u.id = a.user_id
+       WHERE a.token_hash = $1 AND a.expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    if (result.rows[0]) req.user = publicUser(result.rows[0]);
+    next();
+  } catch (err) { next(err); }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Not signed in.' });
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Not signed in.' });
+    if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'You do not have access to this.' });
+    next();
+  };
+}
+
+const requireManager = requireRole(...MANAGER_ROLES);
+
+function isManager(user) {
+  return MANAGER_ROLES.includes(user.role);
+}
+
+app.use(authenticate);
+
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ error: 'email and password required.' });
+    }
+    const result = await pool.query('SELECT * FROM users WHERE email = LOWER($1)', [email.trim()]);
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect email or password.' });
+    }
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+      `INSERT INTO auth_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, NOW() + ($3 || ' days')::interval)`,
+      [hashToken(token), user.id, AUTH_TTL_DAYS]
+    );
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${AUTH_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${AUTH_TTL_DAYS * 86400}${secure}`);
+    res.json({ user: publicUser(user), token });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const token = readToken(req);
+    if (token) await pool.query('DELETE FROM auth_sessions WHERE token_hash = $1', [hashToken(token)]);
+    res.setHeader('Set-Cookie', `${AUTH_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.post('/auth/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!validPassword(newPassword)) return res.status(400).json({ error: 'New password must be at least 8 characters.' });
+    if (typeof currentPassword !== 'string') return res.status(400).json({ error: 'currentPassword required.' });
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (!(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect.' });
+    }
+    await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(newPassword), req.user.id]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Users (manager/admin) ─────────────────────────────────
+app.get('/users', requireManager, async (req, res) => {
+  try {
+    const teamIds = await accessibleTeamIds(req.user);
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.name, u.role, u.team_id, t.name AS team_name, u.created_at
+       FROM users u LEFT JOIN teams t ON t.id = u.team_id
+       WHERE u.organization_id = $1 AND (u.team_id = ANY($2::int[]) OR $3)
+       ORDER BY u.role, u.name`,
+      [req.user.organizationId, teamIds, req.user.role === 'admin']
+    );
+    res.json({ users: result.rows });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/users', requireManager, async (req, res) => {
+  try {
+    const { email, name, password, role = 'rep' } = req.body;
+    const teamId = parseInt(req.body.teamId) || req.user.teamId || null;
+    if (typeof email !== 'string' || typeof name !== 'string' || !email.trim() || !name.trim()) {
+      return res.status(400).json({ error: 'email and name required.' });
+    }
+    if (!validPassword(password)) return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role.' });
+    if (role !== 'rep' && req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can create managers.' });
+    if (role !== 'admin' && !(await accessibleTeamIds(req.user)).includes(teamId)) {
+      return res.status(403).json({ error: 'You cannot add users to that team.' });
+    }
+    const user = await createUser({
+      email, name, password, role, organizationId: req.user.organizationId, teamId: role === 'admin' ? null : teamId,
+    });
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A user with that email already exists.' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, password, teamId } = req.body;
+    if (name !== undefined && typeof name !== 'string') return res.status(400).json({ error: 'Invalid name.' });
+    if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role.' });
+    if (password !== undefined && !validPassword(password)) return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+    if (teamId !== undefined && !(await accessibleTeamIds(req.user)).includes(parseInt(teamId))) {
+      return res.status(400).json({ error: 'Invalid team.' });
+    }
+    const result = await pool.query(
+      `UPDATE users SET name = COALESCE($2, name), role = COALESCE($3, role), password_hash = COALESCE($4, password_hash),
+         team_id = COALESCE($6, team_id)
+       WHERE id = $1 AND organization_id = $5 RETURNING *`,
+      [req.params.id, name?.trim() || null, role || null, password ? await hashPassword(password) : null,
+       req.user.organizationId, teamId !== undefined ? parseInt(teamId) : null]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'User not found.' });
+    if (password) await pool.query('DELETE FROM auth_sessions WHERE user_id = $1', [req.params.id]);
+    res.json({ user: publicUser(result.rows[0]) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// History recorded under a free-text name before accounts existed is only
+// attached to an account when a manager of that team says so — a matching
+// name alone proves nothing.
+app.post('/users/:id/claim-sessions', requireManager, async (req, res) => {
+  try {
+    const { repName } = req.body;
+    if (typeof repName !== 'string' || !repName.trim()) return res.status(400).json({ error: 'repName required.' });
+    const teamIds = await accessibleTeamIds(req.user);
+    const user = (await pool.query(
+      'SELECT id, team_id FROM users WHERE id = $1 AND organization_id = $2 AND team_id = ANY($3::int[])',
+      [parseInt(req.params.id) || 0, req.user.organizationId, teamIds]
+    )).rows[0];
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    const claimed = {};
+    for (const table of ['sessions', 'session_feedback', 'live_sessions']) {
+      const result = await pool.query(
+        `UPDATE ${table} SET user_id = $1, team_id = $2
+         WHERE user_id IS NULL AND LOWER(rep_name) = LOWER($3) AND team_id = ANY($4::int[])`,
+        [user.id, user.team_id, repName.trim(), teamIds]
+      );
+      claimed[table] = result.rowCount;
+    }
+    if (claimed.sessions) await refreshRepProgress(user.id);
+    res.json({ claimed: claimed.sessions, feedback: claimed.session_feedback });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Tenancy ───────────────────────────────────────────────
+// Every organization has one or more teams (offices). Reps belong to one team;
+// managers see their home team plus any extra teams assigned in team_managers;
+// admins see every team in their organization.
+let defaultTenant = null;
+
+async function ensureDefaultTenant() {
+  let org = (await pool.query('SELECT id FROM organizations ORDER BY id LIMIT 1')).rows[0];
+  if (!org) {
+    org = (await pool.query('INSERT INTO organizations (name) VALUES ($1) RETURNING id', [process.env.ORG_NAME || 'My Company'])).rows[0];
+  }
+  let team = (await pool.query('SELECT id FROM teams WHERE organization_id = $1 ORDER BY id LIMIT 1', [org.id])).rows[0];
+  if (!team) {
+    team = (await pool.query('INSERT INTO teams (organization_id, name) VALUES ($1, $2) RETURNING id', [org.id, process.env.TEAM_NAME || 'Main Office'])).rows[0];
+  }
+  defaultTenant = { organizationId: org.id, teamId: team.id };
+
+  // Rows written before tenancy existed belong to the first team
+  await pool.query('UPDATE users SET organization_id = $1 WHERE organization_id IS NULL', [org.id]);
+  await pool.query("UPDATE users SET team_id = $1 WHERE team_id IS NULL AND role <> 'admin'", [team.id]);
+  for (const table of ['sessions', 'session_feedback', 'live_sessions']) {
+    await pool.query(
+      `UPDATE ${table} t SET team_id = COALESCE((SELECT u.team_id FROM users u WHERE u.id = t.user_id), $1) WHERE t.team_id IS NULL`,
+      [team.id]
+    );
+  }
+  await pool.query('UPDATE knowledge_files SET organization_id = $1 WHERE organization_id IS NULL', [org.id]);
+}
+
+async function accessibleTeamIds(user) {
+  if (user.role === 'admin') {
+    const result = await pool.query('SELECT id FROM teams WHERE organization_id = $1', [user.organizationId]);
+    return result.rows.map(t => t.id);
+  }
+  if (user.role === 'manager') {
+    const result = await pool.query('SELECT team_id FROM team_managers WHERE user_id = $1', [user.id]);
+    return [...new Set([user.teamId, ...result.rows.map(t => t.team_id)].filter(Boolean))];
+  }
+  return user.teamId ? [user.teamId] : [];
+}
+
+// Narrows to a requested ?teamId= when given; null means the user may not see that team.
+async function teamScope(user, requestedTeamId) {
+  const ids = await accessibleTeamIds(user);
+  if (!requestedTeamId) return ids;
+  const id = parseInt(requestedTeamId);
+  return ids.includes(id) ? [id] : null;
+}
+
+app.get('/teams', requireAuth, async (req, res) => {
+  try {
+    const ids = await accessibleTeamIds(req.user);
+    const result = await pool.query(
+      `SELECT t.id, t.name,
+         (SELECT COUNT(*)::int FROM users u WHERE u.team_id = t.id AND u.role = 'rep') AS rep_count,
+         COALESCE((SELECT json_agg(json_build_object('id', m.id, 'name', m.name))
+                   FROM users m
+                   WHERE m.role = 'manager' AND (m.team_id = t.id OR m.id IN (SELECT user_id FROM team_managers WHERE team_id = t.id))), '[]') AS managers
+       FROM teams t WHERE t.id = ANY($1::int[]) ORDER BY t.name`,
+      [ids]
+    );
+    res.json({ teams: result.rows.map(t => ({ id: t.id, name: t.name, repCount: t.rep_count, managers: t.managers })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/teams', requireRole('admin'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name required.' });
+    const result = await pool.query(
+      'INSERT INTO teams (organization_id, name) VALUES ($1, $2) RETURNING id, name',
+      [req.user.organizationId, name.trim()]
+    );
+    res.json({ team: result.rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/teams/:id/managers', requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const team = await pool.query('SELECT id FROM teams WHERE id = $1 AND organization_id = $2', [req.params.id, req.user.organizationId]);
+    const mgr  = await pool.query("SELECT id FROM users WHERE id = $1 AND organization_id = $2 AND role = 'manager'", [userId, req.user.organizationId]);
+    if (!team.rows[0] || !mgr.rows[0]) return res.status(404).json({ error: 'Team or manager not found.' });
+    await pool.query('INSERT INTO team_managers (team_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [req.params.id, userId]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/teams/:id/managers/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM team_managers WHERE team_id = $1 AND user_id = $2 AND team_id IN (SELECT id FROM teams WHERE organization_id = $3)',
+      [req.params.id, req.params.userId, req.user.organizationId]
+    );
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Pass null to fall back to the server-wide default for that limit.
+app.patch('/teams/:id/budget', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = v => (v === null || v === '' ? null : Number(v));
+    const dailyLimitUsd = limit(req.body.dailyLimitUsd), repDailyLimitUsd = limit(req.body.repDailyLimitUsd);
+    for (const v of [dailyLimitUsd, repDailyLimitUsd]) {
+      if (v !== null && !(v >= 0 && v < 100000)) return res.status(400).json({ error: 'Limits must be a dollar amount or empty.' });
+    }
+    const result = await pool.query(
+      'UPDATE teams SET daily_limit_usd = $1, rep_daily_limit_usd = $2 WHERE id = $3 AND organization_id = $4 RETURNING id',
+      [dailyLimitUsd, repDailyLimitUsd, req.params.id, req.user.organizationId]
+    );
+    if (!result.rows[0]) return res.status(404).json({ error: 'Team not found.' });
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Knowledge base index ──────────────────────────────────
+// Files are split into chunks and indexed with BM25 so each turn only carries
+// the passages relevant to the current exchange. Indexes are cached by team;
+// each team sees its own files plus organization-wide ones (team_id NULL).
+const knowledgeCache = new Map();
+const KB_CHUNK_CHARS   = parseInt(process.env.KB_CHUNK_CHARS) || 1200;
+const KB_TOP_K         = parseInt(process.env.KB_TOP_K) || 4;
+const KB_CONTEXT_CHARS = parseInt(process.env.KB_CONTEXT_CHARS) || 5000;
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have i if in into is it its me my no not of on or our so ' +
+  'that the their them then there they this to was we were what when which who will with you your').split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9']+/g) || [])
+    .map(t => t.replace(/'s$|'/g, ''))
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(t => (t.length > 4 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+// Breaks text at the last whitespace within each `max` characters, or hard at
+// `max` when there is none. Each character is scanned at most twice.
+function splitLongText(text, max) {
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + max, text.length);
+    if (end < text.length) {
+      let cut = end;
+      while (cut > start && !/\s/.test(text[cut])) cut--;
+      if (cut > start) end = cut;
+    }
+    pieces.push(text.slice(start, end));
+    start = end;
+    while (start < text.length && /\s/.test(text[start])) start++;
+  }
+  return pieces;
+}
+
+// Splits on blank lines and markdown headings, packing paragraphs up to
+// KB_CHUNK_CHARS. The nearest heading is kept with each chunk for context.
+function chunkDocument(content) {
+  const chunks = [];
+  let heading = '', current = '';
+  const flush = () => { if (current.trim()) chunks.push((heading ? `${heading}\n` : '') + current.trim()); current = ''; };
+  for (const para of content.split(/\n\s*\n/)) {
+    let text = para.trim();
+    if (/^#{1,6}\s/.test(text)) {
+      flush();
+      heading = text.split('\n')[0];
+      text = text.slice(heading.length).trim();
+    }
+    if (!text) continue;
+    if (current && current.length + text.length > KB_CHUNK_CHARS) flush();
+    if (text.length > KB_CHUNK_CHARS) {
+      for (const piece of splitLongText(text, KB_CHUNK_CHARS)) { current = piece; flush(); }
+      continue;
+    }
+    current += (current ? '\n\n' : '') + text;
+  }
+  flush();
+  return chunks;
+}
+
+function buildKnowledgeIndex(files) {
+  const chunks = [];
+  const df = new Map();
+  for (const f of files) {
+    chunkDocument(f.content).forEach((text, i) => {
+      const tokens = tokenize(`${f.filename} ${text}`);
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+      chunks.push({ filename: f.filename, part: i + 1, text, tf, length: tokens.length });
+    });
+  }
+  const avgLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+  return { chunks, df, avgLength };
+}
+
+function searchKnowledge(index, query, limit = KB_TOP_K) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || index.chunks.length === 0) return [];
+  const N = index.chunks.length;
+  return index.chunks
+    .map(c => {
+      let score = 0;
+      for (const t of terms) {
+        const f = c.tf.get(t);
+        if (!f) continue;
+        const n = index.df.get(t);
+        const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+        score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * c.length / index.avgLength));
+      }
+      return { chunk: c, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(r => r.chunk);
+}
+
+async function getKnowledgeIndex(organizationId, teamId) {
+  const key = `${organizationId}:${teamId || ''}`;
+  const now = Date.now();
+  const cached = knowledgeCache.get(key);
+  if (cached && (now - cached.time) < 60_000) return cached.index;
+  const result = await pool.query(
+    `SELECT k.filename, v.content
+     FROM knowledge_files k JOIN knowledge_file_versions v ON v.id = k.active_version_id
+     WHERE k.organization_id = $1 AND (k.team_id IS NULL OR k.team_id = $2)
+     ORDER BY k.uploaded_at`,
+    [organizationId, teamId || null]
+  );
+  const index = buildKnowledgeIndex(result.rows);
+  knowledgeCache.set(key, { index, time: now });
+  return index;
+}
+
+// ── Per-session state ─────────────────────────────────────
+// Live roleplay state is kept in Postgres so an in-progress session survives
+// restarts and can be served by any process behind the load balancer.
+const LIVE_SESSION_TTL_DAYS = parseInt(process.env.LIVE_SESSION_TTL_DAYS) || 7;
+
+function newSessionState(id, user) {
+  return {
+    id,
+    userId: user.id,
+    teamId: user.teamId,
+    repName: user.name,
+    history: [],
+    persona: 'standard',
+    scenario: 'cold-knock',
+    weakAreas: [],
+    drillObjection: null,
+    sessionGoal: null,
+    curriculumLesson: null,
+    coachMode: 'live',
+    coaching: [],
+    skepticism: DEFAULT_SKEPTICISM,
+    retryOf: null,
+    retryTurn: null,
+    usage: {},
+    createdAt: new Date(),
+    version: null,
+  };
+}
+
+const sessionEnded = () => Object.assign(new Error('This session has already ended.'), { status: 409 });
+const sessionConflict = () => Object.assign(new Error('This session was updated by another request. Reload it and try again.'), { status: 409 });
+
+function sessionFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    teamId: row.team_id,
+    repName: row.rep_name,
+    history: row.history || [],
+    persona: row.persona,
+    scenario: row.scenario,
+    weakAreas: row.weak_areas || [],
+    drillObjection: row.drill_objection,
+    sessionGoal: row.session_goal,
+    curriculumLesson: row.curriculum_lesson,
+    coachMode: row.coach_mode || 'live',
+    coaching: row.coaching || [],
+    skepticism: row.skepticism,
+    retryOf: row.retry_of,
+    retryTurn: row.retry_turn,
+    usage: row.usage || {},
+    createdAt: row.created_at,
+    version: row.version,
+  };
+}
+
+// Returns null when the id belongs to another user's session and throws a 409
+// once it has ended, so a finished session can't take more turns.
+async function getSession(id, user) {
+  const result = await pool.query('SELECT * FROM live_sessions WHERE id = $1', [id]);
+  const row = result.rows[0];
+  if (!row) return newSessionState(id, user);
+  if (row.user_id !== user.id) return null;
+  if (row.ended_at) throw sessionEnded();
+  return sessionFromRow(row);
+}
+
+// Saves only if nobody else has since the session was loaded (optimistic
+// locking on `version`); otherwise throws a 409 and the turn is dropped rather
+// than overwriting one that another process saved in the meantime.
+async function saveSession(s) {
+  const values = [s.id, s.userId, s.teamId, s.repName, s.persona, s.scenario, JSON.stringify(s.weakAreas), s.drillObjection,
+    s.sessionGoal, s.curriculumLesson, s.coachMode || 'live', JSON.stringify(s.history), JSON.stringify(s.coaching || []),
+    JSON.stringify(s.usage || {}), s.skepticism || DEFAULT_SKEPTICISM, s.retryOf || null, s.retryTurn || null, s.createdAt];
+  const result = s.version == null
+    ? await pool.query(
+      `INSERT INTO live_sessions
+         (id, user_id, team_id, rep_name, persona, scenario, weak_areas, drill_objection, session_goal, curriculum_lesson,
+          coach_mode, history, coaching, usage, skepticism, retry_of, retry_turn, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())
+       ON CONFLICT (id) DO NOTHING RETURNING version`,
+      values
+    )
+    : await pool.query(
+      `UPDATE live_sessions SET
+         rep_name = $4, persona = $5, scenario = $6, weak_areas = $7, drill_objection = $8, session_goal = $9,
+         curriculum_lesson = $10, coach_mode = $11, history = $12, coaching = $13, usage = $14, skepticism = $15,
+         version = version + 1, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND version = $3 AND ended_at IS NULL
+       RETURNING version`,
+      [s.id, s.userId, s.version, ...values.slice(3, 15)]
+    );
+  if (!result.rows[0]) throw sessionConflict();
+  s.version = result.rows[0].version;
+}
+
+// Ends the session and returns its final state, or null when another request
+// already ended it; only one /end-session can get past this.
+async function claimLiveSession(id, userId) {
+  const { rows } = await pool.query(
+    'UPDATE live_sessions SET ended_at = NOW() WHERE id = $1 AND user_id = $2 AND ended_at IS NULL RETURNING *',
+    [id, userId]
+  );
+  return rows[0] ? sessionFromRow(rows[0]) : null;
+}
+
+// Puts a claimed session back when saving it failed, so the rep can end it again.
+async function releaseLiveSession(id) {
+  await pool.query('UPDATE live_sessions SET ended_at = NULL WHERE id = $1', [id]);
+}
+
+setInterval(() => {
+  pool.query(
+    `DELETE FROM live_sessions
+     WHERE (ended_at IS NOT NULL AND ended_at < NOW() - INTERVAL '1 day')
+        OR updated_at < NOW() - ($1 || ' days')::interval`,
+    [LIVE_SESSION_TTL_DAYS]
+  ).catch(err => console.error('Live session sweep error:', err.message));
+  // Clips from sessions that were never finished go with them
+  pool.query(
+    "DELETE FROM voice_clips WHERE session_id IS NULL AND created_at < NOW() - ($1 || ' days')::interval",
+    [LIVE_SESSION_TTL_DAYS]
+  ).catch(err => console.error('Voice clip sweep error:', err.message));
+}, 30 * 60 * 1000).unref();
+
+// ── Personas ──────────────────────────────────────────────
+// Built-ins carry a hand-written `prompt`; custom entries (below) have their
+// prompt composed from description, difficulty, objections and warmth.
+const PERSONAS = {
+  standard:       { name: 'Standard',       icon: '😐', difficulty: 'medium', description: 'Mildly annoyed, willing to listen',
+                    prompt: 'You are mildly annoyed at the interruption but willing to hear a short pitch.' },
+  budget:         { name: 'Budget Tight',   icon: '💸', difficulty: 'medium', description: 'Cost-focused, insurance questions',
+                    prompt: 'Money is very tight right now. You keep steering back to cost and whether insurance will cover it. Push back hard on price.' },
+  bad_contractor: { name: 'Burned Before',  icon: '😠', difficulty: 'hard',   description: 'Bad contractor experience',
+                    prompt: 'A contractor scammed you two years ago — took a large deposit and left the job unfinished. You are deeply suspicious of any home-services salesperson.' },
+  has_contractor: { name: 'Has a Guy',      icon: '👨‍👩‍👧', difficulty: 'medium', description: 'Brother-in-law does roofing',
+                    prompt: 'Your brother-in-law does roofing and you always use family for home projects. You deflect to this whenever possible.' },
+  spouse_away:    { name: 'Needs Spouse',   icon: '🤷', difficulty: 'medium', description: "Can't decide without partner",
+                    prompt: 'You cannot make any financial decisions without your spouse, who is at work. You are somewhat interested but keep deferring.' },
+  skeptical:      { name: 'About to Close', icon: '🚪', difficulty: 'hard',   description: 'Very busy, door closing fast',
+                    prompt: 'You are very busy and skeptical of door-to-door salespeople. You are about to close the door and the rep has very little time to earn your attention.' },
+};
+
+// ── Scenarios ─────────────────────────────────────────────
+const SCENARIOS = {
+  'cold-knock': { name: 'Cold Knock',      icon: '🚶', difficulty: 'hard',   description: 'Unexpected knock, no context',
+                  prompt: 'A door-to-door roofing sales rep has just knocked on your door unexpectedly.' },
+  'post-storm': { name: 'After Storm',     icon: '⛈️', difficulty: 'medium', description: 'Hail two days ago, granules in the gutters',
+                  prompt: 'There was a significant hailstorm in your neighborhood two days ago. A roofing rep came by. You noticed granules in your gutters but have not had a professional look yet.' },
+  'referral':   { name: 'Referral',        icon: '🤝', difficulty: 'easy',   description: 'Neighbor said you might stop by',
+                  prompt: 'Your next-door neighbor mentioned a roofing company might stop by. You vaguely remember them saying that, so you are slightly more open than usual but still cautious.' },
+  'insurance':  { name: 'Insurance Claim', icon: '📋', difficulty: 'easy',   description: 'Approved claim, repairs not started',
+                  prompt: 'Your insurance adjuster recently confirmed you have a legitimate storm damage claim, but you have not started the repair process yet.' },
+};
+
+// ── Custom personas & scenarios ───────────────────────────
+// Managers add their own homeowner types and situations per organization.
+// Custom ids are `custom-<row id>` so they never collide with built-in keys.
+const PROFILE_KINDS = {
+  personas:  { table: 'custom_personas',  builtIns: PERSONAS,  label: 'Persona' },
+  scenarios: { table: 'custom_scenarios', builtIns: SCENARIOS, label: 'Scenario' },
+};
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DIFFICULTY_NOTES = {
+  easy:   'You are fairly receptive and can be won over by a rep who is polite and clear.',
+  medium: 'You are guarded but fair — a rep who listens and handles your concerns can win you over.',
+  hard:   'You are very hard to win over and only soften for a rep who handles every concern precisely.',
+};
+
+function customProfileId(id) {
+  const m = /^custom-(\d+)$/.exec(String(id || ''));
+  return m ? parseInt(m[1]) : null;
+}
+
+function publicProfile(row) {
+  return {
+    id:             `custom-${row.id}`,
+    name:           row.name,
+    icon:           row.icon || null,
+    description:    row.description,
+    difficulty:     row.difficulty,
+    objections:     row.objections || [],
+    startingWarmth: row.starting_warmth,
+    builtIn:        false,
+  };
+}
+
+function builtInProfiles(builtIns) {
+  return Object.entries(builtIns).map(([id, p]) => ({
+    id, name: p.name, icon: p.icon, description: p.description, difficulty: p.difficulty,
+    objections: [], startingWarmth: null, builtIn: true,
+  }));
+}
+
+function profilePrompt(p) {
+  if (p.prompt) return p.prompt;
+  const parts = [p.description.trim().replace(/([^.!?])$/, '$1.')];
+  if (DIFFICULTY_NOTES[p.difficulty]) parts.push(DIFFICULTY_NOTES[p.difficulty]);
+  if (p.objections && p.objections.length) parts.push(`Objections you naturally raise: ${p.objections.map(o => `"${o}"`).join(', ')}.`);
+  if (p.startingWarmth != null) parts.push(`At the start of the conversation your warmth toward the rep is ${p.startingWarmth}/10.`);
+  return parts.join(' ');
+}
+
+async function resolveProfile(kind, id, organizationId) {
+  const { table, builtIns } = PROFILE_KINDS[kind];
+  if (Object.prototype.hasOwnProperty.call(builtIns, id)) return builtIns[id];
+  const customId = customProfileId(id);
+  if (!customId || !organizationId) return null;
+  const { rows } = await pool.query(`SELECT * FROM ${table} WHERE id = $1 AND organization_id = $2`, [customId, organizationId]);
+  return rows[0] ? publicProfile(rows[0]) : null;
+}
+
+// Returns { error } or the cleaned fields for an insert/update.
+function normalizeProfile(body) {
+  const name        = String(body.name || '').trim();
+  const description = String(body.description || '').trim();
+  const icon        = String(body.icon || '').trim().slice(0, 8) || null;
+  const difficulty  = body.difficulty || 'medium';
+  const warmth      = body.startingWarmth === undefined || body.startingWarmth === '' ? 5 : parseInt(body.startingWarmth);
+  const rawObjections = Array.isArray(body.objections) ? body.objections : String(body.objections || '').split('\n');
+  const objections  = rawObjections.map(o => String(o).trim()).filter(Boolean);
+  if (!name || name.length > 60) return { error: 'Name is required (60 characters max).' };
+  if (!description || description.length > 1500) return { error: 'Description is required (1500 characters max).' };
+  if (!DIFFICULTIES.includes(difficulty)) return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}.` };
+  if (!Number.isInteger(warmth) || warmth < 1 || warmth > 10) return { error: 'Starting warmth must be a number from 1 to 10.' };
+  if (objections.length > 10 || objections.some(o => o.length > 200)) return { error: 'Up to 10 objections, 200 characters each.' };
+  return { name, description, icon, difficulty, objections, startingWarmth: warmth };
+}
+
+for (const [kind, { table, builtIns, label }] of Object.entries(PROFILE_KINDS)) {
+  app.get(`/${kind}`, requireAuth, async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM ${table} WHERE organization_id = $1 ORDER BY name`,
+        [req.user.organizationId]
+      );
+      res.json([...builtInProfiles(builtIns), ...rows.map(publicProfile)]);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  app.post(`/${kind}`, requireManager, async (req, res) => {
+    try {
+      const p = normalizeProfile(req.body);
+      if (p.error) return res.status(400).json({ error: p.error });
+      const { rows } = await pool.query(
+        `INSERT INTO ${table} (organization_id, name, icon, description, difficulty, objections, starting_warmth, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [req.user.organizationId, p.name, p.icon, p.description, p.difficulty, JSON.stringify(p.objections), p.startingWarmth, req.user.id]
+      );
+      res.json(publicProfile(rows[0]));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  app.patch(`/${kind}/:id`, requireManager, async (req, res) => {
+    try {
+      const customId = customProfileId(req.params.id);
+      if (!customId) return res.status(400).json({ error: `Built-in ${label.toLowerCase()}s cannot be edited.` });
+      const p = normalizeProfile(req.body);
+      if (p.error) return res.status(400).json({ error: p.error });
+      const { rows } = await pool.query(
+        `UPDATE ${table}
+         SET name = $3, icon = $4, description = $5, difficulty = $6, objections = $7, starting_warmth = $8, updated_at = NOW()
+         WHERE id = $1 AND organization_id = $2 RETURNING *`,
+        [customId, req.user.organizationId, p.name, p.icon, p.description, p.difficulty, JSON.stringify(p.objections), p.startingWarmth]
+      );
+      if (!rows[0]) return res.status(404).json({ error: `${label} not found.` });
+      res.json(publicProfile(rows[0]));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  app.delete(`/${kind}/:id`, requireManager, async (req, res) => {
+    try {
+      const customId = customProfileId(req.params.id);
+      if (!customId) return res.status(400).json({ error: `Built-in ${label.toLowerCase()}s cannot be deleted.` });
+      const result = await pool.query(
+        `DELETE FROM ${table} WHERE id = $1 AND organization_id = $2`,
+        [customId, req.user.organizationId]
+      );
+      if (!result.rowCount) return res.status(404).json({ error: `${label} not found.` });
+      res.json({ success: true });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+}
+
+// ── Objections ────────────────────────────────────────────
+// Each organization keeps a catalog of the objections its reps run into. The
+// analyzer tags every catalog objection the homeowner raised in a session and
+// scores the rep's response to it; those tags drive the per-rep heatmap and
+// which objection drill mode suggests next.
+const OBJECTION_RECENT       = 5;
+const OBJECTION_DRILL_TARGET = parseInt(process.env.OBJECTION_DRILL_TARGET) || 70;
+
+const DEFAULT_OBJECTIONS = [
+  { name: 'Already have a contractor', phrase: 'I already have a contractor' },
+  { name: 'Just replaced the roof',    phrase: 'We just replaced our roof' },
+  { name: 'Talk to my spouse',         phrase: 'I need to talk to my spouse first' },
+  { name: 'Distrust of door knockers', phrase: "I don't trust door-to-door salespeople" },
+  { name: 'Price',                     phrase: 'How much is this going to cost?' },
+  { name: 'Insurance',                 phrase: "My insurance won't cover it" },
+  { name: 'Need to think about it',    phrase: 'We need to think about it' },
+  { name: 'Not interested',            phrase: "I'm not interested" },
+];
+
+// Gives every organization that hasn't had one yet the stock catalog.
+async function seedObjections() {
+  const { rows } = await pool.query('SELECT id FROM organizations WHERE NOT objections_seeded');
+  for (const org of rows) {
+    for (const o of DEFAULT_OBJECTIONS) {
+      await pool.query(
+        'INSERT INTO objections (organization_id, name, phrase) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [org.id, o.name, o.phrase]
+      );
+    }
+    await pool.query('UPDATE organizations SET objections_seeded = TRUE WHERE id = $1', [org.id]);
+  }
+}
+
+function publicObjection(row) {
+  return { id: row.id, name: row.name, phrase: row.phrase };
+}
+
+async function getObjections(organizationId) {
+  if (!organizationId) return [];
+  const { rows } = await pool.query('SELECT * FROM objections WHERE organization_id = $1 ORDER BY name', [organizationId]);
+  return rows.map(publicObjection);
+}
+
+// Returns { error } or the cleaned fields for an insert/update.
+function normalizeObjection(body) {
+  const name   = String(body.name || '').trim();
+  const phrase = String(body.phrase || '').trim();
+  if (!name || name.length > 60) return { error: 'Name is required (60 characters max).' };
+  if (!phrase || phrase.length > 200) return { error: 'What the homeowner says is required (200 characters max).' };
+  return { name, phrase };
+}
+
+// Replaces a session's objection tags with the ones from its latest analysis.
+async function saveSessionObjections(sessionId, owner, tags = []) {
+  await pool.query('DELETE FROM session_objections WHERE session_id = $1', [sessionId]);
+  for (const t of tags) {
+    await pool.query(
+      `INSERT INTO session_objections (session_id, user_id, team_id, objection_id, quote, score, feedback)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [sessionId, owner.id, owner.teamId, t.objectionId, t.quote || null, t.score, t.feedback || null]
+    );
+  }
+}
+
+// Per rep and objection: how often it came up and how well it was handled.
+// recentScore averages only the last OBJECTION_RECENT encounters so a
+// weakness the rep has since fixed stops counting against them.
+async function getObjectionStats({ teamIds, userId, days }) {
+  const params = [], where = ['o.user_id IS NOT NULL'];
+  if (teamIds) { params.push(teamIds); where.push(`o.team_id = ANY($${params.length}::int[])`); }
+  if (userId)  { params.push(userId);  where.push(`o.user_id = $${params.length}`); }
+  if (days)    { params.push(days);    where.push(`o.created_at >= NOW() - ($${params.length} || ' days')::interval`); }
+  const { rows } = await pool.query(
+    `SELECT o.user_id, u.name AS rep_name, o.objection_id, COUNT(*)::int AS count,
+       ROUND(AVG(o.score))::int AS avg_score, MAX(o.created_at) AS last_seen,
+       (array_agg(o.score ORDER BY o.created_at DESC))[1:${OBJECTION_RECENT}] AS recent
+     FROM session_objections o JOIN users u ON u.id = o.user_id
+     WHERE ${where.join(' AND ')}
+     GROUP BY o.user_id, u.name, o.objection_id`,
+    params
+  );
+  return rows.map(r => ({
+    userId:      r.user_id,
+    repName:     r.rep_name,
+    objectionId: r.objection_id,
+    count:       r.count,
+    avgScore:    r.avg_score,
+    recentScore: Math.round(r.recent.reduce((a, b) => a + b, 0) / r.recent.length),
+    lastSeen:    r.last_seen,
+  }));
+}
+
+// The objection drill mode should pick next: the weakest one still under
+// OBJECTION_DRILL_TARGET, otherwise one the rep hasn't faced yet, otherwise
+// the weakest overall. `cells` maps objection id to that rep's stats.
+function nextDrillObjection(objections, cells) {
+  const faced = objections.filter(o => cells[o.id]).sort((a, b) => cells[a.id].recentScore - cells[b.id].recentScore);
+  if (faced[0] && cells[faced[0].id].recentScore < OBJECTION_DRILL_TARGET) return faced[0].id;
+  const unseen = objections.find(o => !cells[o.id]);
+  if (unseen) return unseen.id;
+  return faced[0] ? faced[0].id : null;
+}
+
+app.get('/objections', requireAuth, async (req, res) => {
+  try {
+    res.json({ objections: await getObjections(req.user.organizationId) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/objections', requireManager, async (req, res) => {
+  try {
+    const o = normalizeObjection(req.body);
+    if (o.error) return res.status(400).json({ error: o.error });
+    const { rows } = await pool.query(
+      'INSERT INTO objections (organization_id, name, phrase, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+      [req.user.organizationId, o.name, o.phrase, req.user.id]
+    );
+    res.json(publicObjection(rows[0]));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'An objection with that name already exists.' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/objections/:id', requireManager, async (req, res) => {
+  try {
+    const o = normalizeObjection(req.body);
+    if (o.error) return res.status(400).json({ error: o.error });
+    const { rows } = await pool.query(
+      'UPDATE objections SET name = $3, phrase = $4, updated_at = NOW() WHERE id = $1 AND organization_id = $2 RETURNING *',
+      [req.params.id, req.user.organizationId, o.name, o.phrase]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Objection not found.' });
+    res.json(publicObjection(rows[0]));
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'An objection with that name already exists.' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Also removes the objection's history from every rep's heatmap.
+app.delete('/objections/:id', requireManager, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM objections WHERE id = $1 AND organization_id = $2', [req.params.id, req.user.organizationId]);
+    if (!result.rowCount) return res.status(404).json({ error: 'Objection not found.' });
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// One rep's heatmap: the catalog with that rep's stats on each objection, plus
+// the id drill mode should pick next. Reps get their own; managers may pass
+// ?userId= for a rep on a team they manage.
+app.get('/objections/heatmap', requireAuth, async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId) || req.user.id;
+    let teamIds = null;
+    if (userId !== req.user.id) {
+      if (!isManager(req.user)) return res.status(403).json({ error: 'You do not have access to this.' });
+      teamIds = await accessibleTeamIds(req.user);
+    }
+    const objections = await getObjections(req.user.organizationId);
+    const stats = await getObjectionStats({ teamIds, userId, days: parseInt(req.query.days) || null });
+    const cells = Object.fromEntries(stats.map(s => [s.objectionId, s]));
+    res.json({
+      objections: objections.map(o => ({
+        ...o,
+        count:       cells[o.id]?.count || 0,
+        avgScore:    cells[o.id]?.avgScore ?? null,
+        recentScore: cells[o.id]?.recentScore ?? null,
+        lastSeen:    cells[o.id]?.lastSeen || null,
+      })),
+      next: nextDrillObjection(objections, cells),
+      target: OBJECTION_DRILL_TARGET,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Adaptive difficulty ───────────────────────────────────
+// Each rep has an Elo-style rating per scenario. A session is a match against
+// the homeowner: the challenge is rated from the persona's and scenario's
+// difficulty plus the skepticism level, and an overall score of RATING_PAR
+// counts as a draw. The recommender picks the rep's weakest scenario, a
+// persona that works their weakest breakdown category, and the skepticism
+// that puts the challenge just above their rating.
+const SKEPTICISM_LEVELS  = [1, 2, 3, 4, 5];
+const DEFAULT_SKEPTICISM = 3;
+const SKEPTICISM_NOTES = {
+  1: 'Today you are in a good mood and give the rep the benefit of the doubt.',
+  2: 'Today you are a little more patient than usual and warm up quickly to a rep who is clear and polite.',
+  4: 'Today you are more skeptical than usual: make the rep earn every step and do not let vague answers slide.',
+  5: 'Today you are at your most skeptical: challenge every claim, cut off rambling, and only warm up to precise, confident answers.',
+};
+const RATING_BASE       = 1200;
+const RATING_K          = parseInt(process.env.RATING_K) || 32;
+const RATING_PAR        = 70;
+const RATING_STRETCH    = 50;
+const DIFFICULTY_RATING = { easy: -100, medium: 0, hard: 100 };
+const SKEPTICISM_STEP   = 75;
+const RECOMMEND_RECENT_SESSIONS = 10;
+// The built-in persona that tests each breakdown category hardest
+const FOCUS_PERSONAS = {
+  opening: 'skeptical', objectionHandling: 'budget', rapport: 'bad_contractor',
+  tonality: 'standard', timing: 'skeptical', closing: 'spouse_away',
+};
+
+function challengeRating(persona, scenario, skepticism) {
+  return RATING_BASE + (DIFFICULTY_RATING[persona?.difficulty] || 0) + (DIFFICULTY_RATING[scenario?.difficulty] || 0) +
+    (skepticism - DEFAULT_SKEPTICISM) * SKEPTICISM_STEP;
+}
+
+// 0 (loss) to 1 (win): RATING_PAR is a draw, 20 points either side a clean result.
+function sessionOutcome(overall) {
+  return Math.min(1, Math.max(0, 0.5 + (overall - RATING_PAR) / 40));
+}
+
+// Applies one scored session to the rep's rating for its scenario. Returns
+// { scenario, rating, change } or null when the session can't be rated.
+async function updateRepRating(user, { persona, scenario, skepticism, overall }) {
+  if (!user.id || !scenario || typeof overall !== 'number') return null;
+  const [p, sc] = await Promise.all([
+    resolveProfile('personas', persona, user.organizationId),
+    resolveProfile('scenarios', scenario, user.organizationId),
+  ]);
+  const challenge = challengeRating(p, sc, skepticism || DEFAULT_SKEPTICISM);
+  const current = (await pool.query('SELECT rating FROM rep_ratings WHERE user_id = $1 AND scenario = $2', [user.id, scenario])).rows[0];
+  const rating = current ? current.rating : RATING_BASE;
+  const expected = 1 / (1 + 10 ** ((challenge - rating) / 400));
+  const next = Math.round(rating + RATING_K * (sessionOutcome(overall) - expected));
+  await pool.query(
+    `INSERT INTO rep_ratings (user_id, scenario, rating, sessions, updated_at) VALUES ($1, $2, $3, 1, NOW())
+     ON CONFLICT (user_id, scenario) DO UPDATE SET rating = $3, sessions = rep_ratings.sessions + 1, updated_at = NOW()`,
+    [user.id, scenario, next]
+  );
+  return { scenario, rating: next, change: next - rating };
+}
+
+async function recentCategoryAverages(userId) {
+  const { rows } = await pool.query(
+    "SELECT analysis FROM sessions WHERE user_id = $1 AND status = 'scored' ORDER BY created_at DESC LIMIT $2",
+    [userId, RECOMMEND_RECENT_SESSIONS]
+  );
+  const avgs = {};
+  for (const k of ANALYSIS_CATEGORIES) {
+    const vals = rows.map(r => r.analysis?.breakdown?.[k]?.score).filter(v => v != null);
+    avgs[k] = vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : null;
+  }
+  return { avgs, sessions: rows.length };
+}
+
+async function recommendNextSession(user) {
+  const { avgs, sessions } = await recentCategoryAverages(user.id);
+  const ranked    = ANALYSIS_CATEGORIES.filter(k => avgs[k] != null).sort((a, b) => avgs[a] - avgs[b]);
+  const focus     = sessions >= 2 ? ranked[0] : null;
+  const weakAreas = sessions >= 3 ? ranked.filter(k => avgs[k] < 60).slice(0, 2) : [];
+
+  const customs = await pool.query('SELECT * FROM custom_scenarios WHERE organization_id = $1', [user.organizationId]);
+  const scenarios = [...builtInProfiles(SCENARIOS), ...customs.rows.map(publicProfile)];
+  const { rows } = await pool.query('SELECT scenario, rating, sessions FROM rep_ratings WHERE user_id = $1', [user.id]);
+  const ratings  = Object.fromEntries(rows.map(r => [r.scenario, r]));
+  const ratingOf = id => ratings[id] ? ratings[id].rating : RATING_BASE;
+  const played   = id => ratings[id] ? ratings[id].sessions : 0;
+
+  // Lowest rating first; among equals the least played, then the easiest
+  const scenario = scenarios.slice().sort((a, b) =>
+    ratingOf(a.id) - ratingOf(b.id) || played(a.id) - played(b.id) ||
+    (DIFFICULTY_RATING[a.difficulty] || 0) - (DIFFICULTY_RATING[b.difficulty] || 0))[0];
+  const persona = (focus && FOCUS_PERSONAS[focus]) || 'standard';
+  const rating  = ratingOf(scenario.id);
+  const base    = challengeRating(PERSONAS[persona], scenario, DEFAULT_SKEPTICISM);
+  const skepticism = Math.min(5, Math.max(1, Math.round(DEFAULT_SKEPTICISM + (rating + RATING_STRETCH - base) / SKEPTICISM_STEP)));
+
+  const reasons = [played(scenario.id)
+    ? `${scenario.name} is your lowest-rated scenario (${rating})`
+    : `You haven't been rated on ${scenario.name} yet`];
+  if (focus) reasons.push(`the ${PERSONAS[persona].name} homeowner tests ${CATEGORY_LABELS[focus]}, your weakest area lately (${avgs[focus]}%)`);
+  return {
+    persona,
+    scenario:        scenario.id,
+    skepticism,
+    focus,
+    weakAreas,
+    rating,
+    challengeRating: challengeRating(PERSONAS[persona], scenario, skepticism),
+    reason:          `${reasons.join('; ')}. Skepticism ${skepticism}/5 keeps it a stretch.`,
+    categoryAverages: avgs,
+    ratings: scenarios.map(s => ({ scenario: s.id, name: s.name, rating: ratingOf(s.id), sessions: played(s.id) })),
+  };
+}
+
+// The persona, scenario and skepticism the signed-in rep should practice next.
+app.get('/next-session', requireAuth, async (req, res) => {
+  try {
+    res.json(await recommendNextSession(req.user));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Curriculum ────────────────────────────────────────────
+// Each organization has one ordered list of lessons. A lesson passes when
+// every one of its pass rules holds: { category, min, times } means the rep's
+// last `times` attempts at the lesson all scored at least `min` in that
+// breakdown category ('overall' checks the overall score).
+const CURRICULUM_CATEGORIES = ['overall', 'opening', 'objectionHandling', 'rapport', 'tonality', 'timing', 'closing'];
+const CURRICULUM_STUCK_ATTEMPTS = parseInt(process.env.CURRICULUM_STUCK_ATTEMPTS) || 3;
+
+const DEFAULT_LESSONS = [
+  { title: 'Opener Only',        description: 'Nail your name, company, and reason for being there.',
+    instructions: "Keep the conversation brief. Coach exclusively on the rep's opening — name, company, specific reason for being there. After 3-4 exchanges wrap up.",
+    passRules: [{ category: 'overall', min: 60, times: 1 }] },
+  { title: 'Opener + Rapport',   description: 'Build a human connection before pitching.',
+    instructions: 'Let the conversation develop but focus coaching almost entirely on rapport-building. Is the rep connecting as a human or just pitching?',
+    passRules: [{ category: 'overall', min: 60, times: 1 }] },
+  { title: 'Objection Handling', description: 'Handle 2-3 tough objections smoothly.',
+    instructions: 'Throw at least 2-3 solid objections. Coach should focus almost entirely on how the rep handles each one.',
+    passRules: [{ category: 'overall', min: 60, times: 1 }] },
+  { title: 'Full Pitch',         description: 'Complete conversation from opener to close attempt.',
+    instructions: 'Full natural conversation from opener to close attempt. Coach on all aspects equally.',
+    passRules: [{ category: 'overall', min: 60, times: 1 }] },
+  { title: 'Elite Challenge',    description: 'Skeptical homeowner, cold knock. Score 70+ to pass.',
+    instructions: 'You are maximally skeptical on a cold knock. Push back on everything. The rep must score 70+ to pass this lesson.',
+    persona: 'skeptical', scenario: 'cold-knock',
+    passRules: [{ category: 'overall', min: 70, times: 1 }] },
+];
+
+// Gives every organization that hasn't had one yet the stock five lessons.
+async function seedCurriculum() {
+  const { rows } = await pool.query('SELECT id FROM organizations WHERE NOT curriculum_seeded');
+  for (const org of rows) {
+    for (const [i, l] of DEFAULT_LESSONS.entries()) {
+      await pool.query(
+        `INSERT INTO curriculum_lessons (organization_id, position, title, description, instructions, persona, scenario, pass_rules)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [org.id, i + 1, l.title, l.description, l.instructions, l.persona || null, l.scenario || null, JSON.stringify(l.passRules)]
+      );
+    }
+    await pool.query('UPDATE organizations SET curriculum_seeded = TRUE WHERE id = $1', [org.id]);
+  }
+}
+
+function publicLesson(row, number) {
+  return {
+    id:           row.id,
+    number,
+    title:        row.title,
+    description:  row.description || '',
+    instructions: row.instructions,
+    persona:      row.persona,
+    scenario:     row.scenario,
+    passRules:    row.pass_rules || [],
+  };
+}
+
+async function getLessons(organizationId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM curriculum_lessons WHERE organization_id = $1 ORDER BY position, id',
+    [organizationId]
+  );
+  return rows.map((r, i) => publicLesson(r, i + 1));
+}
+
+async function getLesson(id, organizationId) {
+  if (!id || !organizationId) return null;
+  return (await getLessons(organizationId)).find(l => l.id === parseInt(id)) || null;
+}
+
+function categoryScore(analysis, category) {
+  if (category === 'overall') return analysis.overall;
+  return ((analysis.breakdown || {})[category] || {}).score;
+}
+
+// `attempts` are analyses, newest first.
+function lessonRuleProgress(rules, attempts) {
+  return rules.map(r => {
+    let streak = 0;
+    for (const a of attempts) {
+      if (categoryScore(a, r.category) >= r.min) streak++;
+      else break;
+    }
+    return { ...r, streak: Math.min(streak, r.times), met: streak >= r.times };
+  });
+}
+
+async function lessonStanding(userId, lesson) {
+  const depth = Math.max(1, ...lesson.passRules.map(r => r.times));
+  const { rows } = await pool.query(
+    "SELECT analysis FROM sessions WHERE user_id = $1 AND lesson_id = $2 AND status = 'scored' ORDER BY created_at DESC LIMIT $3",
+    [userId, lesson.id, depth]
+  );
+  return lessonRuleProgress(lesson.passRules, rows.map(r => r.analysis));
+}
+
+// Called after a scored session that was taken as a lesson. Returns the
+// lesson outcome for the end-of-session summary, or null if the lesson is gone.
+async function recordLessonAttempt(user, lessonId) {
+  const lesson = await getLesson(lessonId, user.organizationId);
+  if (!lesson) return null;
+  const rules  = await lessonStanding(user.id, lesson);
+  const passed = rules.length > 0 && rules.every(r => r.met);
+  const before = (await pool.query(
+    'SELECT passed_at FROM lesson_progress WHERE user_id = $1 AND lesson_id = $2',
+    [user.id, lesson.id]
+  )).rows[0];
+  const { rows } = await pool.query(
+    `INSERT INTO lesson_progress (user_id, lesson_id, attempts, last_attempt_at, passed_at)
+     VALUES ($1, $2, 1, NOW(), CASE WHEN $3 THEN NOW() END)
+     ON CONFLICT (user_id, lesson_id) DO UPDATE SET
+       attempts = lesson_progress.attempts + 1,
+       last_attempt_at = NOW(),
+       passed_at = COALESCE(lesson_progress.passed_at, EXCLUDED.passed_at)
+     RETURNING attempts, passed_at`,
+    [user.id, lesson.id, passed]
+  );
+  const justPassed = passed && !(before && before.passed_at);
+  if (justPassed) {
+    await emitRepEvent(user.id, 'lesson.passed', {
+      lesson: { id: lesson.id, number: lesson.number, title: lesson.title, attempts: rows[0].attempts },
+    });
+  }
+  return {
+    lessonId:   lesson.id,
+    number:     lesson.number,
+    title:      lesson.title,
+    attempts:   rows[0].attempts,
+    passed:     !!rows[0].passed_at,
+    justPassed,
+    rules,
+  };
+}
+
+// Returns { error } or the cleaned fields for an insert/update.
+async function normalizeLesson(body, organizationId) {
+  const title        = String(body.title || '').trim();
+  const description  = String(body.description || '').trim();
+  const instructions = String(body.instructions || '').trim();
+  const persona      = body.persona ? String(body.persona) : null;
+  const scenario     = body.scenario ? String(body.scenario) : null;
+  if (!title || title.length > 80) return { error: 'Title is required (80 characters max).' };
+  if (description.length > 300) return { error: 'Description is 300 characters max.' };
+  if (!instructions || instructions.length > 2000) return { error: 'Instructions are required (2000 characters max).' };
+  if (persona && !(await resolveProfile('personas', persona, organizationId))) return { error: 'Unknown persona.' };
+  if (scenario && !(await resolveProfile('scenarios', scenario, organizationId))) return { error: 'Unknown scenario.' };
+  if (!Array.isArray(body.passRules) || body.passRules.length === 0 || body.passRules.length > 7) {
+    return { error: 'A lesson needs between 1 and 7 pass rules.' };
+  }
+  const passRules = [];
+  for (const r of body.passRules) {
+    if (!r || typeof r !== 'object') return { error: 'Each pass rule needs a category and a minimum score.' };
+    const rule = { category: r.category, min: parseInt(r.min), times: parseInt(r.times) || 1 };
+    if (!CURRICULUM_CATEGORIES.includes(rule.category)) return { error: `Pass rule category must be one of: ${CURRICULUM_CATEGORIES.join(', ')}.` };
+    if (!(rule.min >= 0 && rule.min <= 100)) return { error: 'Pass rule minimum must be 0–100.' };
+    if (!(rule.times >= 1 && rule.times <= 10)) return { error: 'Pass rule streak must be 1–10 sessions.' };
+    passRules.push(rule);
+  }
+  return { title, description, instructions, persona, scenario, passRules };
+}
+
+app.get('/curriculum', requireAuth, async (req, res) => {
+  try {
+    const lessons = await getLessons(req.user.organizationId);
+    const { rows } = await pool.query('SELECT * FROM lesson_progress WHERE user_id = $1', [req.user.id]);
+    const progress = Object.fromEntries(rows.map(r => [r.lesson_id, r]));
+    let current = null;
+    const result = lessons.map(l => {
+      const p = progress[l.id] || {};
+      let status = 'upcoming';
+      if (p.passed_at) status = 'passed';
+      else if (!current) { status = 'current'; current = l; }
+      return { ...l, status, attempts: p.attempts || 0, passedAt: p.passed_at || null, lastAttemptAt: p.last_attempt_at || null };
+    });
+    if (current) {
+      const entry = result.find(l => l.id === current.id);
+      entry.rules = await lessonStanding(req.user.id, current);
+    }
+    res.json({ lessons: result });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/curriculum/lessons', requireManager, async (req, res) => {
+  try {
+    const l = await normalizeLesson(req.body, req.user.organizationId);
+    if (l.error) return res.status(400).json({ error: l.error });
+    const { rows } = await pool.query(
+      `INSERT INTO curriculum_lessons (organization_id, position, title, description, instructions, persona, scenario, pass_rules)
+       VALUES ($1, (SELECT COALESCE(MAX(position), 0) + 1 FROM curriculum_lessons WHERE organization_id = $1), $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [req.user.organizationId, l.title, l.description, l.instructions, l.persona, l.scenario, JSON.stringify(l.passRules)]
+    );
+    res.json(await getLesson(rows[0].id, req.user.organizationId));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.patch('/curriculum/lessons/:id', requireManager, async (req, res) => {
+  try {
+    const l = await normalizeLesson(req.body, req.user.organizationId);
+    if (l.error) return res.status(400).json({ error: l.error });
+    const result = await pool.query(
+      `UPDATE curriculum_lessons
+       SET title = $3, description = $4, instructions = $5, persona = $6, scenario = $7, pass_rules = $8, updated_at = NOW()
+       WHERE id = $1 AND organization_id = $2`,
+      [req.params.id, req.user.organizationId, l.title, l.description, l.instructions, l.persona, l.scenario, JSON.stringify(l.passRules)]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Lesson not found.' });
+    res.json(await getLesson(req.params.id, req.user.organizationId));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Swaps a lesson with its neighbour: body { direction: 'up' | 'down' }.
+app.post('/curriculum/lessons/:id/move', requireManager, async (req, res) => {
+  try {
+    const lessons = await getLessons(req.user.organizationId);
+    const idx = lessons.findIndex(l => l.id === parseInt(req.params.id));
+    if (idx === -1) return res.status(404).json({ error: 'Lesson not found.' });
+    const swap = req.body.direction === 'up' ? idx - 1 : idx + 1;
+    if (swap < 0 || swap >= lessons.length) return res.json({ success: true });
+    const ids = lessons.map(l => l.id);
+    [ids[idx], ids[swap]] = [ids[swap], ids[idx]];
+    for (const [i, id] of ids.entries()) {
+      await pool.query('UPDATE curriculum_lessons SET position = $1 WHERE id = $2', [i + 1, id]);
+    }
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/curriculum/lessons/:id', requireManager, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM curriculum_lessons WHERE id = $1 AND organization_id = $2',
+      [req.params.id, req.user.organizationId]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Lesson not found.' });
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Where each rep is in the curriculum. A rep is "stuck" after
+// CURRICULUM_STUCK_ATTEMPTS tries at their current lesson without passing.
+app.get('/manager/curriculum', requireManager, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
+    const lessons = await getLessons(req.user.organizationId);
+    const reps = (await pool.query(
+      "SELECT id, name FROM users WHERE role = 'rep' AND team_id = ANY($1::int[]) ORDER BY name",
+      [teamIds]
+    )).rows;
+    const { rows } = await pool.query('SELECT * FROM lesson_progress WHERE user_id = ANY($1::int[])', [reps.map(r => r.id)]);
+    const progress = {};
+    for (const r of rows) (progress[r.user_id] = progress[r.user_id] || {})[r.lesson_id] = r;
+
+    const result = reps.map(rep => {
+      const mine    = progress[rep.id] || {};
+      const current = lessons.find(l => !(mine[l.id] && mine[l.id].passed_at)) || null;
+      const p       = current ? (mine[current.id] || {}) : {};
+      const attempts = p.attempts || 0;
+      return {
+        userId:        rep.id,
+        name:          rep.name,
+        passedCount:   lessons.filter(l => mine[l.id] && mine[l.id].passed_at).length,
+        currentLesson: current ? { id: current.id, number: current.number, title: current.title } : null,
+        attempts,
+        lastAttemptAt: p.last_attempt_at || null,
+        stuck:         !!current && attempts >= CURRICULUM_STUCK_ATTEMPTS,
+      };
+    });
+    result.sort((a, b) => (b.stuck - a.stuck) || (b.attempts - a.attempts));
+    res.json({ lessons, reps: result, stuckAttempts: CURRICULUM_STUCK_ATTEMPTS });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Roleplay prompts ──────────────────────────────────────
+// The homeowner and the coach are separate calls. The homeowner only ever sees
+// the rep/homeowner conversation; the coach reads that conversation from the
+// outside and answers through a tool so its feedback arrives structured.
+async function buildHomeownerPrompt(session, organizationId) {
+  const personaTxt  = profilePrompt(await resolveProfile('personas', session.persona, organizationId)   || PERSONAS.standard);
+  const scenarioTxt = profilePrompt(await resolveProfile('scenarios', session.scenario, organizationId) || SCENARIOS['cold-knock']);
+
+  const drillNote = session.drillObjection
+    ? `\n\nDRILL MODE: Throw the following objection every single turn in different variations: "${session.drillObjection}".`
+    : '';
+
+  const lesson   = session.curriculumLesson ? await getLesson(session.curriculumLesson, organizationId) : null;
+  const currNote = lesson ? `\n\nCURRICULUM — LESSON ${lesson.number} (${lesson.title}): ${lesson.instructions}` : '';
+  const skepticismNote = SKEPTICISM_NOTES[session.skepticism] ? ` ${SKEPTICISM_NOTES[session.skepticism]}` : '';
+
+  return `You are roleplaying as a homeowner. ${scenarioTxt} ${personaTxt}${skepticismNote}
+
+Reply only with what the homeowner says out loud, in character. Never coach, grade or step out of the roleplay. Bracketed [Voice: ...] notes in the rep's messages are delivery measurements for someone else; ignore them.
+
+Adjust your skepticism dynamically: if the rep builds genuine rapport and handles your concerns well, warm up gradually. If they fumble objections, sound scripted, or ignore your concerns, increase your resistance.${drillNote}${currNote}`;
+}
+
+async function buildCoachPrompt(session, { organizationId, query }) {
+  const weakAreaNote = session.weakAreas.length > 0
+    ? `\n\nCOACHING FOCUS: This rep historically struggles with ${session.weakAreas.join(' and ')}. Watch closely for these patterns and call them out immediately when they appear.`
+    : '';
+  const drillNote = session.drillObjection
+    ? `\n\nDRILL MODE: The homeowner raises "${session.drillObjection}" every turn. Focus exclusively on how well the rep handles this objection and give very specific corrective guidance.`
+    : '';
+  const goalNote = session.sessionGoal
+    ? `\n\nSESSION GOAL: The rep has set this goal for today: "${session.sessionGoal}". Say in your feedback whether they are making progress toward it.`
+    : '';
+  const lesson   = session.curriculumLesson ? await getLesson(session.curriculumLesson, organizationId) : null;
+  const currNote = lesson ? `\n\nCURRICULUM — LESSON ${lesson.number} (${lesson.title}): ${lesson.instructions}` : '';
+
+  const base = `You are an expert door-to-door roofing sales coach watching a rep practice against a roleplayed homeowner. After each exchange, coach the rep's latest message with ${COACH_TOOL.name}.
+
+Be direct and specific: quote the exact words the rep just used and give a better phrase to use instead. If voice metrics are present (WPM, energy, pitch, filler words, pauses), address them explicitly — ideal pace: 130-150 WPM, filler words kill credibility, monotone delivery loses attention (a monotone score above 60 is flat), long pauses mid-pitch read as uncertainty. Rate how warm the homeowner now is toward the rep from 1 (hostile) to 10 (ready to book).${weakAreaNote}${drillNote}${goalNote}${currNote}`;
+
+  if (!query) return base;
+  const index = await getKnowledgeIndex(organizationId, session.teamId);
+  let budget = KB_CONTEXT_CHARS;
+  const excerpts = [];
+  for (const c of searchKnowledge(index, query)) {
+    if (c.text.length > budget) continue;
+    budget -= c.text.length;
+    excerpts.push(`--- ${c.filename} (part ${c.part}) ---\n${c.text}`);
+  }
+  if (excerpts.length === 0) return base;
+
+  return `${base}\n\n[TRAINING MATERIALS — excerpts relevant to this exchange. When your coaching draws on one, put its document name in source.]\n${excerpts.join('\n\n')}`;
+}
+
+// The text retrieval runs against: the rep's latest message plus the
+// homeowner line before it, without voice metrics.
+function retrievalQuery(history) {
+  return history.slice(-2)
+    .map(m => m.role === 'user' ? m.content.replace(/\n\n\[Voice: .*\]$/, '') : m.content)
+    .join('\n');
+}
+
+// ── Coach ─────────────────────────────────────────────────
+// 'live' coaches every turn; 'end' holds all feedback for the end-of-session
+// analysis so a rep can run a full pitch without interruptions.
+const COACH_MODES = ['live', 'end'];
+
+const COACH_TOOL = {
+  name: 'submit_coaching',
+  description: "Submit coaching on the rep's latest message.",
+  input_schema: {
+    type: 'object',
+    properties: {
+      feedback:        { type: 'string', description: '2-3 sentences of direct, specific feedback on the latest message' },
+      quotedPhrase:    { type: 'string', description: 'The exact words from the rep\'s latest message the feedback is about' },
+      tryInstead:      { type: 'string', description: 'The exact phrase the rep should use instead' },
+      homeownerWarmth: { type: 'integer', minimum: 1, maximum: 10, description: 'How warm the homeowner is toward the rep after their reply' },
+      source:          { type: 'string', description: 'File name of the training document the feedback draws on, or empty' },
+    },
+    required: ['feedback', 'quotedPhrase', 'tryInstead', 'homeownerWarmth'],
+  },
+};
+
+function roleplayTranscript(history) {
+  return history.map(m => `${m.role === 'user' ? 'SALES REP' : 'HOMEOWNER'}: ${m.content}`).join('\n\n');
+}
+
+// Coaches the latest exchange. Coaching is an extra on top of the roleplay, so
+// a failed call is logged and returns null rather than failing the turn.
+async function coachTurn(req, session, route) {
+  try {
+    const system = await buildCoachPrompt(session, { organizationId: req.user.organizationId, query: retrievalQuery(session.history) });
+    const response = await llm.complete('coach', {
+      system,
+      maxTokens: 600,
+      tools: [COACH_TOOL],
+      toolChoice: { type: 'tool', name: COACH_TOOL.name },
+      messages: [{ role: 'user', content: `Conversation so far:\n\n${roleplayTranscript(session.history)}` }],
+    });
+    await trackUsage(req.user, { route, sessionId: session.id, tally: session.usage }, 'coach', response);
+    const input = response.content.find(b => b.type === 'tool_use')?.input;
+    if (!input || typeof input.feedback !== 'string' || !input.feedback.trim()) throw new Error('No coaching was submitted.');
+    const warmth = Math.round(Number(input.homeownerWarmth));
+    return {
+      feedback:        input.feedback.trim(),
+      quotedPhrase:    typeof input.quotedPhrase === 'string' ? input.quotedPhrase.trim() : '',
+      tryInstead:      typeof input.tryInstead === 'string' ? input.tryInstead.trim() : '',
+      source:          typeof input.source === 'string' ? input.source.trim() : '',
+      homeownerWarmth: Number.isFinite(warmth) ? Math.min(10, Math.max(1, warmth)) : null,
+    };
+  } catch (err) {
+    console.error('Coach error:', err.message);
+    return null;
+  }
+}
+
+// Records the homeowner's reply and its coaching, keeping coaching out of the
+// roleplay history. Returns the structured turn both chat routes send back.
+async function finishChatTurn(req, session, homeowner, route) {
+  session.history.push({ role: 'assistant', content: homeowner });
+  const coachResult = session.coachMode === 'end' ? null : await coachTurn(req, session, route);
+  let coach = null, homeownerWarmth = null;
+  if (coachResult) {
+    ({ homeownerWarmth, ...coach } = coachResult);
+    session.coaching.push({ turn: session.history.length - 1, ...coachResult });
+  }
+  await saveSession(session);
+  return { homeowner, coach, homeownerWarmth };
+}
+
+// ── Voice ─────────────────────────────────────────────────
+// Each spoken rep turn is uploaded to /voice/transcribe, transcribed by a
+// locally hosted speech-to-text model and measured from the audio itself, so
+// delivery metrics no longer depend on the browser's Web Speech API. WAV is
+// decoded here (practice.html records 16 kHz WAV on every browser); other
+// formats are converted with ffmpeg when it is installed.
+// The size cap covers the whole request, so an upload never holds more than
+// this in memory however it is split into chunks
+const VOICE_UPLOAD_MAX_BYTES = (parseInt(process.env.VOICE_UPLOAD_MAX_MB) || 10) * 1024 * 1024;
+const VOICE_UPLOAD_MAX_CHUNKS = parseInt(process.env.VOICE_UPLOAD_MAX_CHUNKS) || 20;
+const VOICE_MAX_SECONDS      = parseInt(process.env.VOICE_MAX_SECONDS) || 180;
+const VOICE_STORE_AUDIO      = process.env.VOICE_STORE_AUDIO !== 'false';
+const VOICE_SAMPLE_RATE      = 16000;
+const VOICE_FRAME_MS         = 30;
+const VOICE_SILENCE_RMS      = 0.01;
+const VOICE_PAUSE_MS         = 400;
+const VOICE_LONG_PAUSE_MS    = 1500;
+const VOICE_PITCH_RANGE      = [75, 400];
+// Pitch runs on the request thread, so it is tracked on an 8 kHz copy and on
+// at most this many voiced frames spread across the turn
+const VOICE_PITCH_RATE       = 8000;
+const VOICE_PITCH_FRAMES     = 200;
+const FFMPEG_PATH            = process.env.FFMPEG_PATH || 'ffmpeg';
+const FILLER_PATTERN = /\b(um+|uh+|erm+|you know|i mean|basically|literally|kind of|sort of)\b|\blike(?=,)/gi;
+
+// Speech-to-text goes to a local Whisper server speaking the OpenAI
+// transcription API (faster-whisper-server, whisper.cpp's server, LocalAI),
+// so audio never leaves your own machines. With whisper.cpp, for example:
+//   ./build/bin/whisper-server -m models/ggml-base.en.bin --host 127.0.0.1 --port 8178
+//   STT_URL=http://127.0.0.1:8178/inference
+// STT_PROVIDER=mock returns a fixed transcript for offline work. With neither
+// configured, uploads still get metrics and use the browser's transcript when
+// it sent one; practice.html only relies on the server when transcription is on.
+const STT_URL        = process.env.STT_URL || '';
+const STT_MODEL      = process.env.STT_MODEL || '';
+const STT_TIMEOUT_MS = parseInt(process.env.STT_TIMEOUT_MS) || 30_000;
+// Whisper tidies away disfluencies unless the prompt already contains some
+const STT_PROMPT     = process.env.STT_PROMPT || 'Umm, so, uh, I was like, you know, basically... Hmm, okay.';
+const STT_PROVIDERS = {
+  whisper: async wav => {
+    const form = new FormData();
+    form.append('file', new Blob([wav], { type: 'audio/wav' }), 'turn.wav');
+    if (STT_MODEL) form.append('model', STT_MODEL);
+    form.append('language', 'en');
+    form.append('prompt', STT_PROMPT);
+    form.append('response_format', 'json');
+    const res = await fetch(STT_URL, { method: 'POST', body: form, signal: AbortSignal.timeout(STT_TIMEOUT_MS) });
+    if (!res.ok) throw Object.assign(new Error(`Speech-to-text failed (${res.status}): ${(await res.text()).slice(0, 200)}`), { status: 502 });
+    return ((await res.json()).text || '').trim();
+  },
+  mock: async () => process.env.STT_MOCK_TEXT || "Hi there, um, I'm with Summit Roofing and we're, uh, doing free inspections on your street today.",
+  none: null,
+};
+const STT_PROVIDER = process.env.STT_PROVIDER || (STT_URL ? 'whisper' : 'none');
+if (!(STT_PROVIDER in STT_PROVIDERS)) throw new Error(`Unknown STT_PROVIDER "${STT_PROVIDER}" (expected ${Object.keys(STT_PROVIDERS).join(', ')}).`);
+
+const voiceError = (status, message) => Object.assign(new Error(message), { status });
+
+function decodePcm(data, { format, channels, bits }) {
+  const bytes = bits / 8, frames = Math.floor(data.length / (bytes * channels));
+  const read = format === 3 && bits === 32 ? o => data.readFloatLE(o)
+    : format === 1 && bits === 16 ? o => data.readInt16LE(o) / 32768
+    : format === 1 && bits === 24 ? o => data.readIntLE(o, 3) / 8388608
+    : format === 1 && bits === 32 ? o => data.readInt32LE(o) / 2147483648
+    : format === 1 && bits === 8  ? o => (data[o] - 128) / 128
+    : null;
+  if (!read) throw voiceError(415, `Unsupported WAV encoding (format ${format}, ${bits}-bit).`);
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read((i * channels + c) * bytes);
+    samples[i] = sum / channels;
+  }
+  return samples;
+}
+
+// Returns { fmt, data } with data the raw PCM bytes, or null when the buffer isn't WAV.
+function readWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+  let offset = 12, fmt = null;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const body = offset + 8;
+    let size = buf.readUInt32LE(offset + 4);
+    if (id === 'fmt ') {
+      fmt = { format: buf.readUInt16LE(body), channels: buf.readUInt16LE(body + 2), sampleRate: buf.readUInt32LE(body + 4), bits: buf.readUInt16LE(body + 14) };
+      if (fmt.format === 0xFFFE && size >= 40) fmt.format = buf.readUInt16LE(body + 24);
+    } else if (id === 'data') {
+      if (!fmt) break;
+      // Streamed WAVs (ffmpeg to a pipe, some recorders) leave the size unset
+      if (size === 0 || body + size > buf.length) size = buf.length - body;
+      return { fmt, data: buf.subarray(body, body + size) };
+    }
+    offset = body + size + (size & 1);
+  }
+  throw voiceError(415, 'That WAV file has no audio data.');
+}
+
+const wavSeconds = ({ fmt, data }) => data.length / (fmt.channels * fmt.bits / 8 * fmt.sampleRate || 1);
+
+// Returns { samples (mono Float32Array), sampleRate }, or null when the buffer isn't WAV.
+function decodeWav(buf) {
+  const wav = readWav(buf);
+  return wav && { samples: decodePcm(wav.data, wav.fmt), sampleRate: wav.fmt.sampleRate };
+}
+
+function convertWithFfmpeg(buffer) {
+  return new Promise((resolve, reject) => {
+    // -t stops at just past the limit, so a long recording is never fully expanded
+    const proc = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-t', String(VOICE_MAX_SECONDS + 1),
+      '-ac', '1', '-ar', String(VOICE_SAMPLE_RATE), '-f', 'wav', 'pipe:1']);
+    const out = [], err = [];
+    const timer = setTimeout(() => proc.kill('SIGKILL'), STT_TIMEOUT_MS);
+    proc.stdout.on('data', d => out.push(d));
+    proc.stderr.on('data', d => err.push(d));
+    proc.stdin.on('error', () => {});
+    proc.on('error', e => {
+      clearTimeout(timer);
+      reject(e.code === 'ENOENT' ? voiceError(415, 'Only WAV audio can be read on this server (ffmpeg is not installed).') : e);
+    });
+    proc.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(Buffer.concat(out));
+      reject(voiceError(415, `Could not decode that audio: ${Buffer.concat(err).toString().trim().split('\n').pop() || 'ffmpeg failed'}`));
+    });
+    proc.stdin.end(buffer);
+  });
+}
+
+function resample(samples, from, to) {
+  if (from === to) return samples;
+  const out = new Float32Array(Math.floor(samples.length * to / from));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * from / to, j = Math.floor(pos), frac = pos - j;
+    out[i] = samples[j] * (1 - frac) + (samples[j + 1] ?? samples[j]) * frac;
+  }
+  return out;
+}
+
+// Chunks are decoded one by one when they are all WAV; anything else is
+// treated as one recording split into pieces (MediaRecorder's timeslices).
+// WAV length is checked from the headers before anything is decoded.
+async function decodeVoiceUpload(files) {
+  const tooLong = () => voiceError(413, `Turns must be under ${VOICE_MAX_SECONDS} seconds.`);
+  const wavs = files.map(f => readWav(f.buffer));
+  if (wavs.every(Boolean) && wavs.reduce((n, w) => n + wavSeconds(w), 0) > VOICE_MAX_SECONDS) throw tooLong();
+  const decoded = wavs.every(Boolean)
+    ? wavs.map(w => ({ samples: decodePcm(w.data, w.fmt), sampleRate: w.fmt.sampleRate }))
+    : [decodeWav(await convertWithFfmpeg(Buffer.concat(files.map(f => f.buffer))))];
+  const parts = decoded.map(d => resample(d.samples, d.sampleRate, VOICE_SAMPLE_RATE));
+  const samples = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  if (samples.length > VOICE_MAX_SECONDS * VOICE_SAMPLE_RATE) throw tooLong();
+  let at = 0;
+  for (const p of parts) { samples.set(p, at); at += p.length; }
+  return samples;
+}
+
+function encodeWav(samples, sampleRate) {
+  const buf = Buffer.alloc(44 + samples.length * 2);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(36 + samples.length * 2, 4);
+  buf.write('WAVEfmt ', 8, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((s, i) => buf.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), 44 + i * 2));
+  return buf;
+}
+
+// Fundamental frequency of one frame by normalised autocorrelation, or null when
+// unvoiced. Multiples of the period correlate almost as well as the period
+// itself, so the shortest lag close to the best one wins to avoid octave jumps.
+function framePitch(samples, start, length, sampleRate) {
+  const minLag = Math.floor(sampleRate / VOICE_PITCH_RANGE[1]), maxLag = Math.min(Math.ceil(sampleRate / VOICE_PITCH_RANGE[0]), length - 1);
+  const corr = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let xy = 0, xx = 0, yy = 0;
+    for (let i = start; i < start + length - lag; i++) {
+      const a = samples[i], b = samples[i + lag];
+      xy += a * b; xx += a * a; yy += b * b;
+    }
+    corr.push(xx && yy ? xy / Math.sqrt(xx * yy) : 0);
+  }
+  const best = Math.max(0, ...corr);
+  if (best < 0.6) return null;
+  const i = corr.findIndex((r, k) => r >= best * 0.9 && r >= (corr[k - 1] ?? -1) && r >= (corr[k + 1] ?? -1));
+  return sampleRate / (minLag + i);
+}
+
+// Averages each run of `factor` samples: a cheap low-pass and decimation in one.
+function decimate(samples, factor) {
+  if (factor <= 1) return samples;
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let j = i * factor; j < (i + 1) * factor; j++) sum += samples[j];
+    out[i] = sum / factor;
+  }
+  return out;
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+function voiceMetrics(samples, sampleRate, transcript) {
+  const frameLen = Math.round(sampleRate * VOICE_FRAME_MS / 1000);
+  const rms = [];
+  for (let i = 0; i + frameLen <= samples.length; i += frameLen) {
+    let sum = 0;
+    for (let j = i; j < i + frameLen; j++) sum += samples[j] * samples[j];
+    rms.push(Math.sqrt(sum / frameLen));
+  }
+  // Speech is anything well above the room's noise floor
+  const floor  = rms.slice().sort((a, b) => a - b)[Math.floor(rms.length * 0.1)] || 0;
+  const voiced = rms.map(r => r >= Math.max(VOICE_SILENCE_RMS, floor * 3));
+  const first  = voiced.indexOf(true), last = voiced.lastIndexOf(true);
+  const speakingSeconds = first < 0 ? 0 : (last - first + 1) * VOICE_FRAME_MS / 1000;
+
+  const pauses = [];
+  for (let i = first, run = 0; first >= 0 && i <= last + 1; i++) {
+    if (i <= last && !voiced[i]) { run++; continue; }
+    if (run * VOICE_FRAME_MS >= VOICE_PAUSE_MS) pauses.push(run * VOICE_FRAME_MS / 1000);
+    run = 0;
+  }
+
+  const voicedRms = rms.filter((_, i) => voiced[i]);
+  const meanRms   = voicedRms.length ? voicedRms.reduce((a, b) => a + b, 0) / voicedRms.length : 0;
+  const factor      = Math.max(1, Math.floor(sampleRate / VOICE_PITCH_RATE));
+  const pitchRate   = sampleRate / factor;
+  const pitchFrame  = Math.floor(frameLen / factor);
+  const pitchInput  = decimate(samples, factor);
+  const voicedIdx   = voiced.flatMap((v, i) => v ? [i] : []);
+  const step        = Math.max(1, voicedIdx.length / VOICE_PITCH_FRAMES);
+  const pitches     = [];
+  for (let k = 0; k < voicedIdx.length; k += step) {
+    const f0 = framePitch(pitchInput, voicedIdx[Math.floor(k)] * pitchFrame, pitchFrame, pitchRate);
+    if (f0) pitches.push(f0);
+  }
+  let pitchHz = null, pitchVariation = null, monotoneScore = null;
+  if (pitches.length >= 10) {
+    pitchHz = pitches.slice().sort((a, b) => a - b)[Math.floor(pitches.length / 2)];
+    const semis = pitches.map(f => 12 * Math.log2(f / pitchHz));
+    const mean  = semis.reduce((a, b) => a + b, 0) / semis.length;
+    pitchVariation = Math.sqrt(semis.reduce((s, v) => s + (v - mean) ** 2, 0) / semis.length);
+    // 4+ semitones of spread is lively speech (0); a flat line is 100
+    monotoneScore = Math.max(0, Math.min(100, Math.round(100 - pitchVariation * 25)));
+  }
+
+  const words = (transcript || '').split(/\s+/).filter(Boolean).length;
+  const fillers = {};
+  for (const m of (transcript || '').matchAll(FILLER_PATTERN)) {
+    const key = m[0].toLowerCase().replace(/(.)\1+$/, '$1');
+    fillers[key] = (fillers[key] || 0) + 1;
+  }
+  return {
+    durationSeconds:     round1(samples.length / sampleRate),
+    speakingSeconds:     round1(speakingSeconds),
+    wordCount:           words,
+    wpm:                 speakingSeconds >= 1 ? Math.round(words / speakingSeconds * 60) : 0,
+    pauseCount:          pauses.length,
+    longPauseCount:      pauses.filter(p => p * 1000 >= VOICE_LONG_PAUSE_MS).length,
+    longestPauseSeconds: round1(Math.max(0, ...pauses)),
+    energy:              !meanRms ? null : meanRms < 0.025 ? 'Soft energy' : meanRms < 0.06 ? 'Moderate energy' : 'Strong energy',
+    volumeDb:            meanRms ? round1(20 * Math.log10(meanRms)) : null,
+    pitchHz:             pitchHz && Math.round(pitchHz),
+    pitchVariation:      pitchVariation != null ? round1(pitchVariation) : null,
+    pitch:               pitchVariation == null ? null : pitchVariation < 1.5 ? 'Monotone' : pitchVariation < 3 ? 'Natural variation' : 'Dynamic pitch',
+    monotoneScore,
+    fillerCount:         Object.values(fillers).reduce((a, b) => a + b, 0),
+    fillers,
+  };
+}
+
+// The [Voice: ...] note appended to the rep's message for the coach and analyzer.
+function formatVoiceNote(m) {
+  const parts = [];
+  if (m.wpm > 0) parts.push(`${m.wpm} WPM`);
+  if (m.energy)  parts.push(m.energy);
+  if (m.pitch)   parts.push(`${m.pitch} (monotone score ${m.monotoneScore}/100)`);
+  if (m.fillerCount > 0) {
+    const list = Object.entries(m.fillers).map(([w, n]) => n > 1 ? `${w} ×${n}` : w).join(', ');
+    parts.push(`${m.fillerCount} filler word${m.fillerCount !== 1 ? 's' : ''} (${list})`);
+  }
+  if (m.pauseCount > 0) parts.push(`${m.pauseCount} pause${m.pauseCount !== 1 ? 's' : ''}, longest ${m.longestPauseSeconds}s`);
+  if (m.durationSeconds > 0) parts.push(`${Math.round(m.durationSeconds)}s`);
+  return parts.join(' · ');
+}
+
+// Links an uploaded clip to the turn it was spoken in. Returns its metrics,
+// or null when the clip doesn't belong to the rep or was already used.
+async function attachVoiceClip(clipId, user, session) {
+  const turn = session.history.filter(m => m.role === 'user').length + 1;
+  const { rows } = await pool.query(
+    `UPDATE voice_clips SET live_session_id = $3, turn = $4
+     WHERE id = $1 AND user_id = $2 AND session_id IS NULL AND (turn IS NULL OR live_session_id = $3) RETURNING metrics`,
+    [parseInt(clipId) || 0, user.id, session.id, turn]
+  );
+  return rows[0] ? rows[0].metrics : null;
+}
+
+const voiceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: VOICE_UPLOAD_MAX_BYTES, files: VOICE_UPLOAD_MAX_CHUNKS },
+}).array('audio');
+// Room for the multipart boundaries and the transcript field around the audio
+const VOICE_FORM_OVERHEAD = 64 * 1024;
+
+app.get('/voice/config', requireAuth, (req, res) => {
+  res.json({ transcription: STT_PROVIDER !== 'none', storeAudio: VOICE_STORE_AUDIO, maxSeconds: VOICE_MAX_SECONDS });
+});
+
+// Multipart: one or more "audio" chunks in order, plus optional sessionId and
+// transcript (a browser that recognised the speech itself skips speech-to-text).
+// Responds with { clipId, transcript, metrics, voiceNote }; pass clipId to /chat
+// with the turn so the note is attached server-side and the clip can be replayed.
+// Without any transcript the metrics come back alone (clipId null, transcript '').
+app.post('/voice/transcribe', requireAuth, (req, res, next) => {
+  const tooLargeMessage = `Audio must be under ${VOICE_UPLOAD_MAX_BYTES / 1024 / 1024} MB.`;
+  // Node holds the body to its declared length, so checking it up front bounds the whole upload
+  const length = parseInt(req.headers['content-length']);
+  if (!length) return res.status(411).json({ error: 'Content-Length required.' });
+  if (length > VOICE_UPLOAD_MAX_BYTES + VOICE_FORM_OVERHEAD) return res.status(413).json({ error: tooLargeMessage });
+  voiceUpload(req, res, err => {
+    if (!err) return next();
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    const tooMany  = err.code === 'LIMIT_FILE_COUNT';
+    res.status(tooLarge || tooMany ? 413 : 400).json({
+      error: tooLarge ? tooLargeMessage : tooMany ? `Audio must be sent in at most ${VOICE_UPLOAD_MAX_CHUNKS} chunks.` : err.message,
+    });
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'audio required.' });
+    if (req.files.reduce((n, f) => n + f.size, 0) > VOICE_UPLOAD_MAX_BYTES) return res.status(413).json({ error: `Audio must be under ${VOICE_UPLOAD_MAX_BYTES / 1024 / 1024} MB.` });
+    const samples = await decodeVoiceUpload(req.files);
+    const wav = encodeWav(samples, VOICE_SAMPLE_RATE);
+
+    let transcript = (req.body.transcript || '').trim();
+    if (!transcript && STT_PROVIDERS[STT_PROVIDER]) transcript = await STT_PROVIDERS[STT_PROVIDER](wav);
+    const metrics = voiceMetrics(samples, VOICE_SAMPLE_RATE, transcript);
+    if (!transcript) return res.json({ clipId: null, transcript: '', metrics, voiceNote: '' });
+
+    const { rows } = await pool.query(
+      `INSERT INTO voice_clips (user_id, team_id, live_session_id, transcript, metrics, mime_type, audio)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [req.user.id, req.user.teamId, req.body.sessionId || null, transcript, JSON.stringify(metrics),
+       VOICE_STORE_AUDIO ? 'audio/wav' : null, VOICE_STORE_AUDIO ? wav : null]
+    );
+    res.json({ clipId: rows[0].id, transcript, metrics, voiceNote: formatVoiceNote(metrics) });
+  } catch (err) {
+    if (err.name === 'TimeoutError') return res.status(504).json({ error: 'Speech-to-text timed out.' });
+    if (!err.status) console.error('Voice error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Reps can replay their own clips; managers those of reps on their teams.
+app.get('/voice/clips/:id/audio', requireAuth, async (req, res) => {
+  try {
+    const clip = (await pool.query(
+      `SELECT c.user_id, c.team_id, c.mime_type, c.audio FROM voice_clips c JOIN users u ON u.id = c.user_id
+       WHERE c.id = $1 AND u.organization_id = $2`,
+      [parseInt(req.params.id) || 0, req.user.organizationId]
+    )).rows[0];
+    if (!clip || !clip.audio) return res.status(404).json({ error: 'Recording not found.' });
+    const allowed = clip.user_id === req.user.id || (isManager(req.user) && (await accessibleTeamIds(req.user)).includes(clip.team_id));
+    if (!allowed) return res.status(403).json({ error: 'You do not have access to this.' });
+    res.set('Cache-Control', 'private, max-age=86400').type(clip.mime_type || 'audio/wav').send(clip.audio);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Chat ──────────────────────────────────────────────────
+// Shared by /chat and /chat/stream: loads the session, applies any setup
+// context from the first message and records the rep's turn. Writes the
+// error response itself and returns null when the turn can't proceed.
+async function prepareChatTurn(req, res) {
+  const { message, sessionId, persona, scenario, weakAreas, drillObjection, sessionGoal, curriculumLesson, coachMode, skepticism, clipId } = req.body;
+  if (typeof message !== 'string' || !message.trim()) { res.status(400).json({ error: 'Message is required.' }); return null; }
+  const budgetError = await usageBudgetError(req.user);
+  if (budgetError) { res.status(429).json({ error: budgetError, budgetExceeded: true }); return null; }
+
+  const session = await getSession(sessionId || `default-${req.user.id}`, req.user);
+  if (!session) { res.status(404).json({ error: 'Session not found.' }); return null; }
+  if (persona)                  session.persona          = persona;
+  if (scenario)                 session.scenario         = scenario;
+  if (Array.isArray(weakAreas)) session.weakAreas        = weakAreas;
+  if (drillObjection !== undefined) session.drillObjection = drillObjection;
+  if (sessionGoal !== undefined)    session.sessionGoal    = sessionGoal;
+  if (curriculumLesson !== undefined) session.curriculumLesson = curriculumLesson;
+  if (COACH_MODES.includes(coachMode)) session.coachMode = coachMode;
+  if (SKEPTICISM_LEVELS.includes(Number(skepticism))) session.skepticism = Number(skepticism);
+
+  // A lesson that names a persona or scenario overrides the rep's pick
+  if (curriculumLesson) {
+    const lesson = await getLesson(curriculumLesson, req.user.organizationId);
+    if (lesson && lesson.persona)  session.persona  = lesson.persona;
+    if (lesson && lesson.scenario) session.scenario = lesson.scenario;
+    if (!lesson) session.curriculumLesson = null;
+  }
+
+  // An uploaded clip's server-measured metrics replace any the browser sent
+  let content = message;
+  if (clipId) {
+    const metrics = await attachVoiceClip(clipId, req.user, session);
+    if (!metrics) { res.status(404).json({ error: 'Voice clip not found.' }); return null; }
+    const note = formatVoiceNote(metrics);
+    content = message.replace(/\n\n\[Voice: .*\]$/, '') + (note ? `\n\n[Voice: ${note}]` : '');
+  }
+  session.history.push({ role: 'user', content });
+
+  const systemPrompt = await buildHomeownerPrompt(session, req.user.organizationId);
+  return { session, systemPrompt };
+}
+
+// Responds with { homeowner, coach: { feedback, quotedPhrase, tryInstead, source } | null,
+// homeownerWarmth }. coach and homeownerWarmth are null when coaching is held
+// until the end or the coach call failed.
+app.post('/chat', requireAuth, async (req, res) => {
+  try {
+    const turn = await prepareChatTurn(req, res);
+    if (!turn) return;
+    const { session, systemPrompt } = turn;
+
+    const response = await llm.complete('homeowner', { system: systemPrompt, messages: session.history });
+    await trackUsage(req.user, { route: '/chat', sessionId: session.id, tally: session.usage }, 'homeowner', response);
+
+    res.json(await finishChatTurn(req, session, response.text.trim(), '/chat'));
+  } catch (err) {
+    console.error('Chat error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Chat (streaming) ──────────────────────────────────────
+// Server-sent events: `homeowner` ({ text } deltas) as the reply streams, then
+// `coach` (the coach object plus homeownerWarmth, only when there is coaching),
+// then `done` (the same object /chat returns). Failures after the stream has
+// started arrive as an `error` event.
+app.post('/chat/stream', requireAuth, async (req, res) => {
+  const abort = new AbortController();
+  try {
+    const turn = await prepareChatTurn(req, res);
+    if (!turn) return;
+    const { session, systemPrompt } = turn;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.on('close', () => { if (!res.writableEnded) abort.abort(); });
+
+    const response = await llm.stream('homeowner', { system: systemPrompt, messages: session.history }, {
+      signal: abort.signal,
+      onText: delta => send('homeowner', { text: delta }),
+    });
+    await trackUsage(req.user, { route: '/chat/stream', sessionId: session.id, tally: session.usage }, 'homeowner', response);
+
+    const result = await finishChatTurn(req, session, response.text.trim(), '/chat/stream');
+    if (result.coach) send('coach', { ...result.coach, homeownerWarmth: result.homeownerWarmth });
+    send('done', result);
+    res.end();
+  } catch (err) {
+    console.error('Chat stream error:', err.message);
+    if (!res.headersSent) return res.status(err.status || 500).json({ error: err.message });
+    if (!res.writableEnded) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: err.message })}\n\n`);
+      res.end();
+    }
+  }
+});
+
+// ── Session analysis ──────────────────────────────────────
+// The analysis comes back through a forced tool call and is checked against
+// the same schema server-side. Schema violations go back to the model as a
+// tool error so it can correct itself; transient API failures are retried by
+// the provider layer.
+const ANALYSIS_CATEGORIES   = ['opening', 'objectionHandling', 'rapport', 'tonality', 'timing', 'closing'];
+const ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+
+// `objections` is the organization's catalog; when it has entries the analysis
+// must also list each catalog objection the homeowner raised.
+function analysisTool({ withGoal, objections = [] }) {
+  const category = {
+    type: 'object',
+    properties: {
+      score:    { type: 'integer', minimum: 0, maximum: 100 },
+      feedback: { type: 'string', description: 'One sentence' },
+    },
+    required: ['score', 'feedback'],
+  };
+  const properties = {
+    scorecard: {
+      type: 'string',
+      description: 'Plain-text scorecard, one line each: "Opening: [score]/10 — [one sentence feedback]", then Objection Handling, Rapport, Closing Attempt, and finally "Overall: [score]/10 — [summary sentence]".',
+    },
+    overall:        { type: 'integer', minimum: 0, maximum: 100 },
+    breakdown:      { type: 'object', properties: Object.fromEntries(ANALYSIS_CATEGORIES.map(k => [k, category])), required: ANALYSIS_CATEGORIES },
+    summary:        { type: 'string', description: '2-3 sentences describing how the session went' },
+    keyStrength:    { type: 'string', description: 'One specific thing they did well' },
+    keyImprovement: { type: 'string', description: 'One specific thing to work on next time' },
+  };
+  const required = ['scorecard', 'overall', 'breakdown', 'summary', 'keyStrength', 'keyImprovement'];
+  if (withGoal) {
+    properties.goalAchieved = { type: 'boolean' };
+    properties.goalFeedback = { type: 'string', description: 'One sentence on whether/how they met the goal' };
+    required.push('goalAchieved', 'goalFeedback');
+  }
+  if (objections.length) {
+    properties.objections = {
+      type: 'array',
+      description: 'Every objection from the catalog the homeowner raised, in the order raised, with how well the rep handled it. Leave out concerns that match nothing in the catalog.',
+      items: {
+        type: 'object',
+        properties: {
+          objection: { type: 'string', enum: objections.map(o => o.name) },
+          quote:     { type: 'string', description: "The homeowner's words raising it" },
+          score:     { type: 'integer', minimum: 0, maximum: 100, description: "How well the rep's response handled it" },
+          feedback:  { type: 'string', description: 'One sentence on the response' },
+        },
+        required: ['objection', 'quote', 'score', 'feedback'],
+      },
+    };
+    required.push('objections');
+  }
+  return {
+    name: 'submit_analysis',
+    description: 'Submit the scored analysis of the practice session.',
+    input_schema: { type: 'object', properties, required },
+  };
+}
+
+// Repairs harmless drift in place (numeric strings, fractional scores) and
+// returns a list of whatever still violates the schema.
+function validateAnalysis(a, { withGoal, objections = [] }) {
+  if (!a || typeof a !== 'object') return ['The analysis must be an object.'];
+  const errors = [];
+  const score = (v, path) => {
+    if (typeof v === 'string' && v.trim() !== '' && !isNaN(v)) v = Number(v);
+    if (typeof v !== 'number' || !Number.isFinite(v)) { errors.push(`${path} must be an integer from 0 to 100.`); return v; }
+    v = Math.round(v);
+    if (v < 0 || v > 100) errors.push(`${path} must be from 0 to 100 (got ${v}).`);
+    return v;
+  };
+  a.overall = score(a.overall, 'overall');
+  if (!a.breakdown || typeof a.breakdown !== 'object') {
+    errors.push('breakdown is required.');
+  } else {
+    for (const k of ANALYSIS_CATEGORIES) {
+      const c = a.breakdown[k];
+      if (!c || typeof c !== 'object') { errors.push(`breakdown.${k} is required.`); continue; }
+      c.score = score(c.score, `breakdown.${k}.score`);
+      if (typeof c.feedback !== 'string') errors.push(`breakdown.${k}.feedback must be a string.`);
+    }
+  }
+  for (const k of ['scorecard', 'summary', 'keyStrength', 'keyImprovement']) {
+    if (typeof a[k] !== 'string' || !a[k].trim()) errors.push(`${k} must be a non-empty string.`);
+  }
+  if (withGoal) {
+    if (typeof a.goalAchieved !== 'boolean') errors.push('goalAchieved must be true or false because the rep set a goal.');
+    if (typeof a.goalFeedback !== 'string' || !a.goalFeedback.trim()) errors.push('goalFeedback must be a non-empty string.');
+  }
+  if (objections.length) {
+    if (!Array.isArray(a.objections)) {
+      errors.push('objections must be an array (empty if none from the catalog came up).');
+    } else {
+      a.objections.forEach((o, i) => {
+        if (!o || typeof o !== 'object') { errors.push(`objections[${i}] must be an object.`); return; }
+        if (!objections.some(c => c.name === o.objection)) errors.push(`objections[${i}].objection must be one of the catalog names.`);
+        o.score = score(o.score, `objections[${i}].score`);
+        if (typeof o.feedback !== 'string') errors.push(`objections[${i}].feedback must be a string.`);
+      });
+    }
+  }
+  return errors;
+}
+
+// Scores a conversation history. Returns the validated analysis (including
+// `scorecard`) or throws once every attempt has failed. `onUsage` is called
+// with each model response so the caller can account for it. With an
+// objection catalog, analysis.objections comes back as
+// [{ objectionId, name, quote, score, feedback }].
+async function scoreConversation(history, { sessionGoal, objections = [], onUsage } = {}) {
+  const withGoal = !!sessionGoal;
+  const tool = analysisTool({ withGoal, objections });
+  const conversationText = roleplayTranscript(history);
+  const goalInstruction = withGoal
+    ? `\nThe rep set this session goal: "${sessionGoal}". Say whether they achieved it in goalAchieved and explain in one sentence of goalFeedback.`
+    : '';
+  const objectionInstruction = objections.length
+    ? `\nTag each objection the homeowner raised against this catalog and score the rep's response to it from 0 to 100:\n${objections.map(o => `- ${o.name} (e.g. "${o.phrase}")`).join('\n')}`
+    : '';
+  const messages = [{
+    role: 'user',
+    content: `You are an expert door-to-door sales coach. Analyze this roofing sales practice session and submit your analysis with the ${tool.name} tool.
+
+Conversation:
+${conversationText}
+
+Score the overall session and each breakdown category from 0 to 100, each with one sentence of feedback.
+Use any [Voice: ...] metrics in the rep's messages to inform tonality and timing scores. Ideal pace is 130-150 WPM; a monotone score above 60, frequent filler words and long pauses should all pull tonality or timing down.${goalInstruction}${objectionInstruction}`,
+  }];
+
+  let lastError = 'unknown error';
+  for (let attempt = 1; attempt <= ANALYSIS_MAX_ATTEMPTS; attempt++) {
+    let response;
+    try {
+      response = await llm.complete('analyzer', {
+        maxTokens: 2048,
+        tools: [tool],
+        toolChoice: { type: 'tool', name: tool.name },
+        messages,
+      });
+    } catch (err) {
+      throw new Error(`Scoring failed: ${err.message}`);
+    }
+    if (onUsage) await onUsage(response);
+    const call = response.content.find(b => b.type === 'tool_use');
+    if (!call) { lastError = 'No analysis was submitted.'; continue; }
+    const errors = validateAnalysis(call.input, { withGoal, objections });
+    if (errors.length === 0) {
+      if (objections.length) {
+        call.input.objections = call.input.objections.map(o => ({
+          objectionId: objections.find(c => c.name === o.objection).id,
+          name:        o.objection,
+          quote:       typeof o.quote === 'string' ? o.quote : '',
+          score:       o.score,
+          feedback:    o.feedback,
+        }));
+      }
+      return call.input;
+    }
+    lastError = errors.join(' ');
+    console.warn(`Analysis attempt ${attempt} invalid:`, lastError);
+    messages.push({ role: 'assistant', content: response.content });
+    messages.push({ role: 'user', content: [{
+      type: 'tool_result',
+      tool_use_id: call.id,
+      is_error: true,
+      content: `That analysis does not match the schema: ${lastError} Call ${tool.name} again with the corrected analysis.`,
+    }] });
+  }
+  throw new Error(`Scoring failed after ${ANALYSIS_MAX_ATTEMPTS} attempts: ${lastError}`);
+}
+
+// The non-score parts of a stored analysis that survive a re-score.
+function analysisContext({ transcript, sessionGoal, curriculumLesson }) {
+  return {
+    ...(transcript       ? { transcript }       : {}),
+    ...(sessionGoal      ? { sessionGoal }      : {}),
+    ...(curriculumLesson ? { curriculumLesson } : {}),
+  };
+}
+
+// ── End session ───────────────────────────────────────────
+// The live session is claimed before scoring, so a double submit or a client
+// retry gets a 409 instead of saving the session twice.
+app.post('/end-session', requireAuth, async (req, res) => {
+  let session = null, savedId = null;
+  try {
+    const { sessionId, duration, repMessages } = req.body;
+    const live = await getSession(sessionId || `default-${req.user.id}`, req.user);
+    if (!live) return res.status(404).json({ error: 'Session not found.' });
+    if (live.history.length === 0) return res.status(400).json({ error: 'No conversation to analyze.' });
+    session = await claimLiveSession(live.id, req.user.id);
+    if (!session) return res.status(409).json({ error: 'This session has already ended.' });
+
+    const lesson = session.curriculumLesson ? await getLesson(session.curriculumLesson, req.user.organizationId) : null;
+    const curriculumLesson = lesson ? lesson.id : null;
+    const { sessionGoal } = session;
+    const transcript = turnsTranscript(structuredTurns(session.history, session.coaching));
+    const context = analysisContext({ transcript, sessionGoal, curriculumLesson });
+
+    let result = null, scoringError = null;
+    try {
+      result = await scoreConversation(session.history, {
+        sessionGoal,
+        objections: await getObjections(req.user.organizationId),
+        onUsage: r => trackUsage(req.user, { route: '/end-session', sessionId: session.id, tally: session.usage }, 'analyzer', r),
+      });
+    } catch (err) {
+      scoringError = err.message;
+      console.error('End session scoring error:', err.message);
+    }
+    const { scorecard, ...analysis } = result || {};
+    const fullAnalysis = { ...analysis, ...context };
+
+    const saved = await pool.query(
+      `INSERT INTO sessions (user_id, team_id, rep_name, duration, rep_messages, lesson_id, analysis, history, status, scoring_error, usage,
+         persona, scenario, skepticism, retry_of, retry_turn)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id`,
+      [req.user.id, req.user.teamId, req.user.name, duration || 0, repMessages || 0, curriculumLesson,
+       JSON.stringify(fullAnalysis), JSON.stringify(session.history), result ? 'scored' : 'unscored', scoringError,
+       JSON.stringify(session.usage), session.persona, session.scenario, session.skepticism, session.retryOf, session.retryTurn]
+    );
+    savedId = saved.rows[0].id;
+    await saveSessionTurns(saved.rows[0].id, structuredTurns(session.history, session.coaching));
+    await pool.query('UPDATE voice_clips SET session_id = $1 WHERE live_session_id = $2 AND user_id = $3', [saved.rows[0].id, session.id, req.user.id]);
+    if (result) await saveSessionObjections(saved.rows[0].id, req.user, fullAnalysis.objections);
+    await emitSessionEvents(saved.rows[0].id);
+
+    if (!result) {
+      return res.status(502).json({
+        error: 'Scoring failed, but your conversation was saved. Your manager can re-score it.',
+        sessionSaved: true,
+        savedSessionId: saved.rows[0].id,
+      });
+    }
+    const curriculum = curriculumLesson ? await recordLessonAttempt(req.user, curriculumLesson) : null;
+    const rating = await updateRepRating(req.user, { ...session, overall: analysis.overall });
+    const progress = await refreshRepProgress(req.user.id);
+    res.json({
+      scorecard, analysis: fullAnalysis, curriculum, rating, progress,
+      savedSessionId: saved.rows[0].id, retryOf: session.retryOf,
+    });
+  } catch (err) {
+    console.error('End session error:', err.message);
+    if (session && !savedId) await releaseLiveSession(session.id).catch(() => {});
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Turns & retries ───────────────────────────────────────
+// A saved session's history is split into numbered rep turns (the rep's line,
+// the homeowner's reply and any coaching on it). A rep can retry a session
+// from any turn: the new live session starts with everything before that
+// turn, against the same or a different homeowner, and once scored it is
+// compared with the original category by category.
+const VOICE_NOTE_PATTERN = /\n\n\[Voice: (.*)\]$/;
+const COMPARE_CATEGORIES = ['overall', ...ANALYSIS_CATEGORIES];
+
+// Rep turn N is the Nth user message; coaching entries point at the history
+// index of the homeowner reply they follow.
+function structuredTurns(history = [], coaching = []) {
+  const byReply = new Map(coaching.map(c => [c.turn, c]));
+  const turns = [];
+  history.forEach((m, i) => {
+    if (m.role === 'user') {
+      const vm = VOICE_NOTE_PATTERN.exec(m.content);
+      turns.push({
+        turn:      turns.length + 1,
+        rep:       vm ? m.content.slice(0, vm.index) : m.content,
+        voiceNote: vm ? vm[1] : null,
+        homeowner: null,
+        coaching:  null,
+      });
+    } else if (turns.length) {
+      const t = turns[turns.length - 1];
+      t.homeowner = m.content;
+      if (byReply.has(i)) {
+        const { turn, ...coach } = byReply.get(i);
+        t.coaching = coach;
+      }
+    }
+  });
+  return turns;
+}
+
+// A turn as [speaker, text] lines, the shape of the plain-text transcript.
+function turnLines(t) {
+  const lines = [['REP', t.rep]];
+  if (t.homeowner) lines.push(['HOMEOWNER', t.homeowner]);
+  if (t.coaching) {
+    let line = t.coaching.feedback;
+    if (t.coaching.tryInstead) line += ` Try instead: "${t.coaching.tryInstead}"`;
+    if (t.coaching.source)     line += ` (Source: ${t.coaching.source})`;
+    lines.push(['COACH', line]);
+  }
+  return lines;
+}
+
+// The plain-text transcript kept with a session's analysis.
+function turnsTranscript(turns) {
+  return turns.map(t => turnLines(t).map(([speaker, text]) => `${speaker}: ${text}`).join('\n')).join('\n\n');
+}
+
+async function saveSessionTurns(sessionId, turns) {
+  await pool.query('DELETE FROM session_turns WHERE session_id = $1', [sessionId]);
+  for (const t of turns) {
+    await pool.query(
+      `INSERT INTO session_turns (session_id, turn, rep_text, voice_note, homeowner_text, coaching)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [sessionId, t.turn, t.rep, t.voiceNote, t.homeowner, t.coaching ? JSON.stringify(t.coaching) : null]
+    );
+  }
+}
+
+function turnFromRow(r) {
+  return { turn: r.turn, rep: r.rep_text, voiceNote: r.voice_note, homeowner: r.homeowner_text, coaching: r.coaching };
+}
+
+async function getSessionTurns(sessionId) {
+  const { rows } = await pool.query('SELECT * FROM session_turns WHERE session_id = $1 ORDER BY turn', [sessionId]);
+  return rows.map(turnFromRow);
+}
+
+// Turns for a list of sessions, keyed by session id.
+async function sessionTurnsById(sessionIds) {
+  const { rows } = await pool.query(
+    'SELECT * FROM session_turns WHERE session_id = ANY($1::int[]) ORDER BY session_id, turn', [sessionIds]
+  );
+  const bySession = {};
+  for (const r of rows) (bySession[r.session_id] ||= []).push(turnFromRow(r));
+  return bySession;
+}
+
+// Sessions saved before turns were stored get them from their history (without
+// coaching, which only live sessions kept). Walks by id so a history with no
+// rep turns isn't picked up again.
+async function backfillSessionTurns() {
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT s.id, s.history FROM sessions s
+       WHERE s.id > $1 AND s.history IS NOT NULL AND jsonb_array_length(s.history) > 0
+         AND NOT EXISTS (SELECT 1 FROM session_turns t WHERE t.session_id = s.id)
+       ORDER BY s.id LIMIT 200`,
+      [lastId]
+    );
+    if (!rows.length) return;
+    for (const r of rows) await saveSessionTurns(r.id, structuredTurns(r.history));
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// Session id -> the retries started from it, oldest first.
+async function sessionRetries(sessionIds) {
+  const { rows } = await pool.query(
+    "SELECT id, retry_of, retry_turn, created_at FROM sessions WHERE retry_of = ANY($1::int[]) AND status = 'scored' ORDER BY created_at",
+    [sessionIds]
+  );
+  const byOriginal = {};
+  for (const r of rows) (byOriginal[r.retry_of] ||= []).push({ id: r.id, turn: r.retry_turn, date: r.created_at });
+  return byOriginal;
+}
+
+// The saved session if the user may see it: their own, or one on a team they manage.
+async function viewableSession(user, id) {
+  const row = (await pool.query('SELECT * FROM sessions WHERE id = $1', [parseInt(id) || 0])).rows[0];
+  if (!row) return null;
+  if (row.user_id === user.id) return row;
+  if (!isManager(user)) return null;
+  return (await accessibleTeamIds(user)).includes(row.team_id) ? row : null;
+}
+
+// The live history and coaching a retry of `row` from rep turn `turn` starts with.
+function retrySeed(row, turns, turn) {
+  const history = [], coaching = [];
+  let repTurns = 0;
+  for (const m of row.history) {
+    if (m.role === 'user' && ++repTurns === turn) break;
+    history.push(m);
+    const t = turns[repTurns - 1];
+    if (m.role === 'assistant' && t && t.coaching) coaching.push({ turn: history.length - 1, ...t.coaching });
+  }
+  return { history, coaching };
+}
+
+async function compareSide(row, organizationId) {
+  const [persona, scenario] = await Promise.all([
+    resolveProfile('personas', row.persona, organizationId),
+    resolveProfile('scenarios', row.scenario, organizationId),
+  ]);
+  return {
+    id:           row.id,
+    date:         row.created_at,
+    status:       row.status,
+    persona:      row.persona,
+    personaName:  persona ? persona.name : row.persona,
+    scenario:     row.scenario,
+    scenarioName: scenario ? scenario.name : row.scenario,
+    skepticism:   row.skepticism,
+    summary:      row.analysis?.summary || null,
+    scores:       Object.fromEntries(COMPARE_CATEGORIES.map(k => [k, row.status === 'scored' ? analysisScore(row.analysis, k) ?? null : null])),
+    turns:        await getSessionTurns(row.id),
+  };
+}
+
+app.get('/sessions/:id/turns', requireAuth, async (req, res) => {
+  try {
+    const row = await viewableSession(req.user, req.params.id);
+    if (!row) return res.status(404).json({ error: 'Session not found.' });
+    res.json({
+      turns: await getSessionTurns(row.id),
+      persona: row.persona, scenario: row.scenario, skepticism: row.skepticism,
+      retryOf: row.retry_of, retryTurn: row.retry_turn,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Body: { turn, persona, scenario, skepticism, coachMode }; anything left out
+// keeps the original's setup. Starts a live session the rep resumes in
+// practice.html (?resume=<sessionId>) with the turns before `turn` replayed.
+app.post('/sessions/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const row = (await pool.query('SELECT * FROM sessions WHERE id = $1 AND user_id = $2', [parseInt(req.params.id) || 0, req.user.id])).rows[0];
+    if (!row) return res.status(404).json({ error: 'Session not found.' });
+    const turns = await getSessionTurns(row.id);
+    const turn  = Number(req.body.turn || 1);
+    if (!Array.isArray(row.history) || turns.length === 0) return res.status(400).json({ error: 'This session has no stored conversation to retry.' });
+    if (!Number.isInteger(turn) || turn < 1 || turn > turns.length) return res.status(400).json({ error: `turn must be from 1 to ${turns.length}.` });
+
+    const { persona, scenario, skepticism, coachMode } = req.body;
+    if (persona && !(await resolveProfile('personas', persona, req.user.organizationId))) return res.status(400).json({ error: 'Unknown persona.' });
+    if (scenario && !(await resolveProfile('scenarios', scenario, req.user.organizationId))) return res.status(400).json({ error: 'Unknown scenario.' });
+
+    const session = newSessionState(crypto.randomUUID(), req.user);
+    Object.assign(session, retrySeed(row, turns, turn), {
+      persona:     persona || row.persona || session.persona,
+      scenario:    scenario || row.scenario || session.scenario,
+      skepticism:  SKEPTICISM_LEVELS.includes(Number(skepticism)) ? Number(skepticism) : row.skepticism || DEFAULT_SKEPTICISM,
+      coachMode:   COACH_MODES.includes(coachMode) ? coachMode : 'live',
+      sessionGoal: row.analysis?.sessionGoal || null,
+      retryOf:     row.id,
+      retryTurn:   turn,
+    });
+    await saveSession(session);
+    res.json({ sessionId: session.id, turn, persona: session.persona, scenario: session.scenario, skepticism: session.skepticism });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Side-by-side view of a retry and the session it retried. `deltas` is the
+// retry's score minus the original's per category (null when either is unscored).
+app.get('/sessions/:id/compare', requireAuth, async (req, res) => {
+  try {
+    const retry = await viewableSession(req.user, req.params.id);
+    if (!retry) return res.status(404).json({ error: 'Session not found.' });
+    if (!retry.retry_of) return res.status(400).json({ error: 'This session is not a retry.' });
+    const original = await viewableSession(req.user, retry.retry_of);
+    if (!original) return res.status(404).json({ error: 'The original session no longer exists.' });
+    const [a, b] = [await compareSide(original, req.user.organizationId), await compareSide(retry, req.user.organizationId)];
+    res.json({
+      fromTurn: retry.retry_turn,
+      original: a,
+      retry:    b,
+      deltas:   Object.fromEntries(COMPARE_CATEGORIES.map(k => [k, a.scores[k] != null && b.scores[k] != null ? b.scores[k] - a.scores[k] : null])),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Leaderboard ───────────────────────────────────────────
+// Rankings are computed from scored sessions on every request. The metric is
+// the overall score or one breakdown category; a scenario and a time window
+// narrow which sessions count. Competitions (below) are saved leaderboards.
+const LEADERBOARD_METRICS = ['overall', ...ANALYSIS_CATEGORIES];
+const LEADERBOARD_PERIODS = { today: 'day', week: 'week', month: 'month' };
+const LEADERBOARD_LIMIT   = 50;
+// Calendar days for periods and streaks are counted in this zone
+const STREAK_TIMEZONE     = process.env.STREAK_TIMEZONE || 'UTC';
+
+function metricLabel(metric) {
+  return metric === 'overall' ? 'Overall' : CATEGORY_LABELS[metric];
+}
+
+// A stored streak only counts while its last practice day is today or yesterday.
+function liveStreakSql(alias, tzParam) {
+  return `CASE WHEN ${alias}.last_practice_on >= (NOW() AT TIME ZONE ${tzParam})::date - 1 THEN ${alias}.current_streak ELSE 0 END`;
+}
+
+// Sessions /end-session scored from the stored conversation. Rows without a
+// stored history were scored by the client through the old /save-session and
+// never count toward rankings, competitions, XP, streaks or badges.
+function serverScoredSql(alias) {
+  return `${alias}.status = 'scored' AND ${alias}.history IS NOT NULL`;
+}
+
+// Reps ranked by their average metric over the matching sessions. `period` is
+// a LEADERBOARD_PERIODS key (since the start of the current day/week/month);
+// `from`/`to` bound the window exactly. Reps with fewer than minSessions
+// sessions come after everyone who qualifies.
+async function leaderboardRows({ teamIds, metric = 'overall', scenario, period, days, from, to, minSessions = 1 }) {
+  const score = metric === 'overall'
+    ? "(s.analysis->>'overall')::numeric"
+    : `(s.analysis->'breakdown'->'${metric}'->>'score')::numeric`;
+  const params = [teamIds, minSessions, STREAK_TIMEZONE];
+  const where  = ['s.team_id = ANY($1::int[])', serverScoredSql('s'), `${score} IS NOT NULL`];
+  if (scenario) { params.push(scenario); where.push(`s.scenario = $${params.length}`); }
+  if (period)   { params.push(LEADERBOARD_PERIODS[period]); where.push(`s.created_at >= date_trunc($${params.length}, NOW() AT TIME ZONE $3) AT TIME ZONE $3`); }
+  if (days)     { params.push(days); where.push(`s.created_at >= NOW() - ($${params.length} || ' days')::interval`); }
+  if (from)     { params.push(from); where.push(`s.created_at >= $${params.length}`); }
+  if (to)       { params.push(to);   where.push(`s.created_at < $${params.length}`); }
+  const { rows } = await pool.query(
+    `SELECT s.user_id, COALESCE(u.name, s.rep_name) AS rep_name,
+       COUNT(*)::int AS session_count,
+       ROUND(AVG(${score}))::int AS avg_score,
+       MAX(${score})::int AS best_score,
+       MAX(s.created_at) AS last_active,
+       COUNT(*) >= $2 AS qualified,
+       COALESCE(p.xp, 0) AS xp,
+       COALESCE(${liveStreakSql('p', '$3')}, 0) AS streak
+     FROM sessions s
+       LEFT JOIN users u ON u.id = s.user_id
+       LEFT JOIN rep_progress p ON p.user_id = s.user_id
+     WHERE ${where.join(' AND ')}
+     GROUP BY s.user_id, COALESCE(u.name, s.rep_name), p.xp, p.current_streak, p.last_practice_on
+     ORDER BY qualified DESC, avg_score DESC, session_count DESC
+     LIMIT ${LEADERBOARD_LIMIT}`,
+    params
+  );
+  return rows.map(r => ({ ...r, level: levelFor(r.xp) }));
+}
+
+// ?category= is 'overall' or a breakdown category; ?period=all|today|week|month
+// or ?days=N; ?scenario= a scenario id; ?teamId= one of the user's teams.
+app.get('/leaderboard', requireAuth, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not have access to that team.' });
+    const metric   = req.query.category || 'overall';
+    const period   = req.query.period && req.query.period !== 'all' ? req.query.period : null;
+    const scenario = req.query.scenario || null;
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `category must be one of ${LEADERBOARD_METRICS.join(', ')}.` });
+    }
+    if (period && !Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+      return res.status(400).json({ error: 'period must be one of all, today, week, month.' });
+    }
+    const leaderboard = await leaderboardRows({ teamIds, metric, scenario, period, days: parseInt(req.query.days) || null });
+    res.json({ leaderboard, metric, period: period || 'all', scenario });
+  } catch (err) {
+    console.error('Leaderboard error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Streaks, badges & XP ──────────────────────────────────
+// Recomputed from a rep's scored sessions whenever one is scored, a manager
+// changes a score, or a competition they won closes, then stored in
+// rep_progress and rep_badges. A badge is never taken back once earned.
+const SESSION_XP         = 10;  // per scored session, plus a tenth of its overall score
+const BADGE_XP           = 25;
+const COMPETITION_WIN_XP = 100;
+const LEVEL_XP           = 250;
+// `earned` gets { scores (overall, newest first), bestStreak, wins }
+const BADGES = [
+  { id: 'first-step', icon: '🌱', name: 'First Step', description: 'Finish a scored session',            earned: s => s.scores.length >= 1 },
+  { id: 'grinder',    icon: '🔥', name: 'Grinder',    description: 'Finish 10 scored sessions',           earned: s => s.scores.length >= 10 },
+  { id: 'machine',    icon: '⚡', name: 'Machine',    description: 'Finish 25 scored sessions',           earned: s => s.scores.length >= 25 },
+  { id: 'elite',      icon: '🏆', name: 'Elite',      description: 'Score 85 or more',                    earned: s => s.scores.some(v => v >= 85) },
+  { id: 'consistent', icon: '🎯', name: 'Consistent', description: 'Score 70+ five sessions in a row',    earned: s => s.scores.length >= 5 && s.scores.slice(0, 5).every(v => v >= 70) },
+  { id: 'level-up',   icon: '📈', name: 'Level Up',   description: 'Beat your best score by 10 points',   earned: s => s.scores.some((v, i) => s.scores.length - i > 3 && v - Math.max(...s.scores.slice(i + 1)) >= 10) },
+  { id: 'on-a-roll',  icon: '🔆', name: 'On a Roll',  description: 'Practice three days in a row',        earned: s => s.bestStreak >= 3 },
+  { id: 'champion',   icon: '🥇', name: 'Champion',   description: 'Win a team competition',              earned: s => s.wins >= 1 },
+];
+
+function levelFor(xp) {
+  return 1 + Math.floor(xp / LEVEL_XP);
+}
+
+function publicBadge(b) {
+  return { id: b.id, icon: b.icon, name: b.name, description: b.description };
+}
+
+// `days` are distinct 'YYYY-MM-DD' practice days, newest first. Returns the run
+// of consecutive days ending on the newest one and the longest run overall.
+function practiceStreaks(days) {
+  let current = 0, best = 0, run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && Date.parse(days[i - 1]) - Date.parse(day) === 86400000 ? run + 1 : 1;
+    if (run === i + 1) current = run;
+    best = Math.max(best, run);
+  });
+  return { current, best };
+}
+
+// Returns { xp, xpGained, level, streak, bestStreak, newBadges }.
+async function refreshRepProgress(userId) {
+  const { rows } = await pool.query(
+    `SELECT ROUND((s.analysis->>'overall')::numeric)::int AS overall,
+       to_char((s.created_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') AS day
+     FROM sessions s WHERE s.user_id = $1 AND ${serverScoredSql('s')} ORDER BY s.created_at DESC`,
+    [userId, STREAK_TIMEZONE]
+  );
+  const scores = rows.map(r => r.overall).filter(v => v != null);
+  const days   = [...new Set(rows.map(r => r.day))];
+  const { current, best } = practiceStreaks(days);
+  const wins = (await pool.query('SELECT COUNT(*)::int AS n FROM competitions WHERE winner_id = $1', [userId])).rows[0].n;
+
+  const stats = { scores, bestStreak: best, wins };
+  const added = [];
+  for (const b of BADGES.filter(b => b.earned(stats))) {
+    const r = await pool.query('INSERT INTO rep_badges (user_id, badge) VALUES ($1, $2) ON CONFLICT DO NOTHING', [userId, b.id]);
+    if (r.rowCount) added.push(publicBadge(b));
+  }
+  const badges = (await pool.query(
+    'SELECT COUNT(*)::int AS n FROM rep_badges WHERE user_id = $1 AND badge = ANY($2)', [userId, BADGES.map(b => b.id)]
+  )).rows[0].n;
+  const xp = scores.reduce((sum, v) => sum + SESSION_XP + Math.floor(v / 10), 0) + badges * BADGE_XP + wins * COMPETITION_WIN_XP;
+
+  const before = (await pool.query('SELECT xp FROM rep_progress WHERE user_id = $1', [userId])).rows[0];
+  await pool.query(
+    `INSERT INTO rep_progress (user_id, xp, current_streak, best_streak, last_practice_on, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET
+       xp = $2, current_streak = $3, best_streak = $4, last_practice_on = $5, updated_at = NOW()`,
+    [userId, xp, current, best, days[0] || null]
+  );
+  return { xp, xpGained: xp - (before ? before.xp : 0), level: levelFor(xp), streak: current, bestStreak: best, newBadges: added };
+}
+
+// Reps scored before progress was stored get theirs computed once at startup.
+async function backfillRepProgress() {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT s.user_id FROM sessions s
+     WHERE ${serverScoredSql('s')} AND s.user_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM rep_progress p WHERE p.user_id = s.user_id)`
+  );
+  for (const r of rows) await refreshRepProgress(r.user_id);
+}
+
+async function getRepProgress(userId) {
+  const [progress, earned] = await Promise.all([
+    pool.query(`SELECT xp, best_streak, ${liveStreakSql('p', '$2')} AS streak FROM rep_progress p WHERE user_id = $1`, [userId, STREAK_TIMEZONE]),
+    pool.query('SELECT badge, earned_at FROM rep_badges WHERE user_id = $1', [userId]),
+  ]);
+  const p = progress.rows[0] || { xp: 0, streak: 0, best_streak: 0 };
+  const earnedAt = Object.fromEntries(earned.rows.map(r => [r.badge, r.earned_at]));
+  return {
+    xp:          p.xp,
+    level:       levelFor(p.xp),
+    levelXp:     p.xp % LEVEL_XP,
+    nextLevelXp: LEVEL_XP,
+    streak:      p.streak,
+    bestStreak:  p.best_streak,
+    badges:      BADGES.map(b => ({ ...publicBadge(b), earnedAt: earnedAt[b.id] || null })),
+  };
+}
+
+// The signed-in rep's streak, XP and badges. Managers may pass ?userId= for a
+// rep on a team they manage.
+app.get('/progress', requireAuth, async (req, res) => {
+  try {
+    const userId = parseInt(req.query.userId) || req.user.id;
+    if (userId !== req.user.id) {
+      if (!isManager(req.user)) return res.status(403).json({ error: 'You do not have access to this.' });
+      const teamIds = await accessibleTeamIds(req.user);
+      const rep = await pool.query('SELECT id FROM users WHERE id = $1 AND team_id = ANY($2::int[])', [userId, teamIds]);
+      if (!rep.rows[0]) return res.status(404).json({ error: 'Rep not found.' });
+    }
+    res.json(await getRepProgress(userId));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Competitions ──────────────────────────────────────────
+// Managers run time-boxed contests on one metric, optionally limited to one
+// scenario. Standings are the leaderboard over the competition's window; when
+// it ends the top qualified rep is recorded as the winner, which earns the
+// Champion badge and COMPETITION_WIN_XP.
+const COMPETITION_RECENT_DAYS = 14;
+const COMPETITION_MAX_DAYS    = 92;
+
+function competitionStatus(row) {
+  const now = Date.now();
+  if (now < new Date(row.starts_at)) return 'upcoming';
+  return now < new Date(row.ends_at) ? 'active' : 'ended';
+}
+
+async function competitionStandings(c) {
+  const teamIds = c.team_id ? [c.team_id]
+    : (await pool.query('SELECT id FROM teams WHERE organization_id = $1', [c.organization_id])).rows.map(t => t.id);
+  return leaderboardRows({
+    teamIds, metric: c.metric, scenario: c.scenario, from: c.starts_at, to: c.ends_at, minSessions: c.min_sessions,
+  });
+}
+
+// Standings are left empty until the competition starts.
+async function describeCompetition(row) {
+  const status   = competitionStatus(row);
+  const scenario = row.scenario ? await resolveProfile('scenarios', row.scenario, row.organization_id) : null;
+  return {
+    id:           row.id,
+    name:         row.name,
+    teamId:       row.team_id,
+    teamName:     row.team_name || null,
+    metric:       row.metric,
+    metricLabel:  metricLabel(row.metric),
+    scenario:     row.scenario,
+    scenarioName: scenario ? scenario.name : row.scenario,
+    minSessions:  row.min_sessions,
+    startsAt:     row.starts_at,
+    endsAt:       row.ends_at,
+    status,
+    winner:       row.winner_id ? { id: row.winner_id, name: row.winner_name || null } : null,
+    standings:    status === 'upcoming' ? [] : await competitionStandings(row),
+  };
+}
+
+// Returns { error } or the cleaned fields for an insert/update. Only admins
+// may leave teamId empty for an organization-wide competition.
+async function normalizeCompetition(body, user) {
+  const name        = String(body.name || '').trim();
+  const metric      = body.metric || 'overall';
+  const scenario    = body.scenario || null;
+  const minSessions = body.minSessions === undefined || body.minSessions === '' ? 1 : Number(body.minSessions);
+  const startsAt    = new Date(body.startsAt), endsAt = new Date(body.endsAt);
+  const teamId      = body.teamId ? parseInt(body.teamId) : null;
+  if (!name || name.length > 80) return { error: 'Name is required (80 characters max).' };
+  if (!LEADERBOARD_METRICS.includes(metric)) return { error: `metric must be one of ${LEADERBOARD_METRICS.join(', ')}.` };
+  if (!Number.isInteger(minSessions) || minSessions < 1 || minSessions > 50) return { error: 'Minimum sessions must be a whole number from 1 to 50.' };
+  if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) return { error: 'A start and a later end are required.' };
+  if (endsAt - startsAt > COMPETITION_MAX_DAYS * 86400000) return { error: `A competition can run ${COMPETITION_MAX_DAYS} days at most.` };
+  if (scenario && !(await resolveProfile('scenarios', scenario, user.organizationId))) return { error: 'Unknown scenario.' };
+  if (teamId === null && user.role !== 'admin') return { error: 'Pick a team.' };
+  if (teamId !== null && !(await accessibleTeamIds(user)).includes(teamId)) return { error: 'You do not manage that team.' };
+  return { name, metric, scenario, minSessions, startsAt, endsAt, teamId };
+}
+
+// The competition if the user may change it: admins any in their organization,
+// managers those on a team they manage.
+async function managedCompetition(user, id) {
+  const c = (await pool.query('SELECT * FROM competitions WHERE id = $1 AND organization_id = $2', [parseInt(id) || 0, user.organizationId])).rows[0];
+  if (!c) return null;
+  if (user.role === 'admin') return c;
+  return c.team_id && (await accessibleTeamIds(user)).includes(c.team_id) ? c : null;
+}
+
+// Records the winner of every competition that has ended. Only the run that
+// sets finalized_at awards the win, so overlapping sweeps are harmless.
+async function finalizeCompetitions() {
+  const { rows } = await pool.query('SELECT * FROM competitions WHERE finalized_at IS NULL AND ends_at <= NOW()');
+  for (const c of rows) {
+    const winner = (await competitionStandings(c)).find(r => r.qualified && r.user_id);
+    const claimed = await pool.query(
+      'UPDATE competitions SET winner_id = $2, finalized_at = NOW() WHERE id = $1 AND finalized_at IS NULL',
+      [c.id, winner ? winner.user_id : null]
+    );
+    if (claimed.rowCount && winner) await refreshRepProgress(winner.user_id);
+  }
+}
+
+setInterval(() => {
+  finalizeCompetitions().catch(err => console.error('Competition sweep error:', err.message));
+}, 5 * 60 * 1000).unref();
+
+// Upcoming, running and recently ended competitions the user can see, with
+// standings. ?teamId= narrows to one team; organization-wide ones always show.
+app.get('/competitions', requireAuth, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not have access to that team.' });
+    const { rows } = await pool.query(
+      `SELECT c.*, t.name AS team_name, w.name AS winner_name
+       FROM competitions c
+         LEFT JOIN teams t ON t.id = c.team_id
+         LEFT JOIN users w ON w.id = c.winner_id
+       WHERE c.organization_id = $1 AND (c.team_id IS NULL OR c.team_id = ANY($2::int[]))
+         AND c.ends_at > NOW() - ($3 || ' days')::interval
+       ORDER BY c.ends_at`,
+      [req.user.organizationId, teamIds, COMPETITION_RECENT_DAYS]
+    );
+    const competitions = [];
+    for (const c of rows) competitions.push(await describeCompetition(c));
+    res.json({ competitions });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/competitions', requireManager, async (req, res) => {
+  try {
+    const c = await normalizeCompetition(req.body, req.user);
+    if (c.error) return res.status(400).json({ error: c.error });
+    const { rows } = await pool.query(
+      `INSERT INTO competitions (organization_id, team_id, name, metric, scenario, min_sessions, starts_at, ends_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [req.user.organizationId, c.teamId, c.name, c.metric, c.scenario, c.minSessions, c.startsAt, c.endsAt, req.user.id]
+    );
+    res.json(await describeCompetition(rows[0]));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.patch('/competitions/:id', requireManager, async (req, res) => {
+  try {
+    const existing = await managedCompetition(req.user, req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Competition not found.' });
+    if (existing.finalized_at) return res.status(409).json({ error: 'This competition has ended and can no longer be changed.' });
+    const c = await normalizeCompetition(req.body, req.user);
+    if (c.error) return res.status(400).json({ error: c.error });
+    const { rows } = await pool.query(
+      `UPDATE competitions SET team_id = $2, name = $3, metric = $4, scenario = $5, min_sessions = $6,
+         starts_at = $7, ends_at = $8, updated_at = NOW()
+       WHERE id = $1 AND finalized_at IS NULL RETURNING *`,
+      [existing.id, c.teamId, c.name, c.metric, c.scenario, c.minSessions, c.startsAt, c.endsAt]
+    );
+    if (!rows[0]) return res.status(409).json({ error: 'This competition has ended and can no longer be changed.' });
+    res.json(await describeCompetition(rows[0]));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// The winner keeps the Champion badge but loses the win's XP.
+app.delete('/competitions/:id', requireManager, async (req, res) => {
+  try {
+    const c = await managedCompetition(req.user, req.params.id);
+    if (!c) return res.status(404).json({ error: 'Competition not found.' });
+    await pool.query('DELETE FROM competitions WHERE id = $1', [c.id]);
+    if (c.winner_id) await refreshRepProgress(c.winner_id);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Manager feedback ──────────────────────────────────────
+// Feedback is a free-text note to a rep, optionally about one saved session.
+// Inside a session it can annotate one rep turn of the stored conversation
+// (`turn` is the session_turns number; the rep's words are kept as the quote)
+// or override one category's AI score with a reason. An override rewrites the
+// score in the session's analysis, so every stat built from it follows, and
+// keeps the AI's in analysis.overrides.
+const OVERRIDE_CATEGORIES = ['overall', ...ANALYSIS_CATEGORIES];
+
+function analysisScore(analysis, category) {
+  return category === 'overall' ? analysis.overall : analysis.breakdown?.[category]?.score;
+}
+
+function setAnalysisScore(analysis, category, score) {
+  if (category === 'overall') analysis.overall = score;
+  else analysis.breakdown[category] = { ...analysis.breakdown[category], score };
+}
+
+// Puts a session's overrides back on top of a fresh analysis (after a re-score
+// the new AI scores become the ones an override replaced).
+async function applyScoreOverrides(sessionId, analysis) {
+  const { rows } = await pool.query(
+    `SELECT f.category, f.score, f.message, f.created_at, u.name AS author
+     FROM session_feedback f LEFT JOIN users u ON u.id = f.author_id
+     WHERE f.session_id = $1 AND f.category IS NOT NULL`,
+    [sessionId]
+  );
+  delete analysis.overrides;
+  for (const o of rows) {
+    const aiScore = analysisScore(analysis, o.category);
+    if (aiScore == null) continue;
+    await pool.query('UPDATE session_feedback SET ai_score = $3 WHERE session_id = $1 AND category = $2', [sessionId, o.category, aiScore]);
+    analysis.overrides = { ...analysis.overrides, [o.category]: { aiScore, score: o.score, reason: o.message, author: o.author, at: o.created_at } };
+    setAnalysisScore(analysis, o.category, o.score);
+  }
+  return analysis;
+}
+
+// Annotations and overrides for the given sessions, keyed by session id.
+async function sessionAnnotations(sessionIds) {
+  const { rows } = await pool.query(
+    `SELECT f.id, f.session_id, f.turn, f.quote, f.message, f.category, f.score, f.ai_score,
+            f.author_id, f.created_at, f.read_at, u.name AS author
+     FROM session_feedback f LEFT JOIN users u ON u.id = f.author_id
+     WHERE f.session_id = ANY($1::int[]) AND (f.turn IS NOT NULL OR f.category IS NOT NULL)
+     ORDER BY f.turn NULLS LAST, f.created_at`,
+    [sessionIds]
+  );
+  const bySession = {};
+  for (const r of rows) {
+    (bySession[r.session_id] ||= []).push({
+      id: r.id, turn: r.turn, quote: r.quote, message: r.message, category: r.category,
+      score: r.score, aiScore: r.ai_score, author: r.author, authorId: r.author_id, createdAt: r.created_at, readAt: r.read_at,
+    });
+  }
+  return bySession;
+}
+
+async function managedSession(user, id) {
+  const teamIds = await accessibleTeamIds(user);
+  return (await pool.query('SELECT * FROM sessions WHERE id = $1 AND team_id = ANY($2::int[])', [parseInt(id) || 0, teamIds])).rows[0];
+}
+
+app.post('/manager/feedback', requireManager, async (req, res) => {
+  try {
+    const { userId, sessionId, message } = req.body;
+    if (!userId || typeof message !== 'string' || !message.trim()) return res.status(400).json({ error: 'userId and message required.' });
+    const teamIds = await accessibleTeamIds(req.user);
+    const rep = await pool.query('SELECT id, name, team_id FROM users WHERE id = $1 AND team_id = ANY($2::int[])', [parseInt(userId) || 0, teamIds]);
+    if (!rep.rows[0]) return res.status(404).json({ error: 'Rep not found.' });
+    // A note may stand alone, but one tied to a session must be about this rep's session
+    let sid = null, turn = null, quote = null;
+    if (sessionId != null || req.body.turn != null) {
+      const session = (await pool.query('SELECT id FROM sessions WHERE id = $1 AND user_id = $2', [parseInt(sessionId) || 0, rep.rows[0].id])).rows[0];
+      if (!session) return res.status(404).json({ error: 'Session not found.' });
+      sid = session.id;
+    }
+    if (req.body.turn != null) {
+      turn = parseInt(req.body.turn);
+      const stored = (await pool.query('SELECT rep_text FROM session_turns WHERE session_id = $1 AND turn = $2', [sid, turn || 0])).rows[0];
+      if (!stored) return res.status(400).json({ error: 'That turn does not exist.' });
+      quote = stored.rep_text;
+    }
+    const result = await pool.query(
+      `INSERT INTO session_feedback (user_id, team_id, rep_name, session_id, message, author_id, turn, quote)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [rep.rows[0].id, rep.rows[0].team_id, rep.rows[0].name, sid, message.trim(), req.user.id, turn, quote]
+    );
+    await emitRepEvent(rep.rows[0].id, 'feedback.created', { feedback: {
+      id: result.rows[0].id, kind: turn === null ? 'note' : 'annotation', sessionId: sid,
+      message: message.trim(), turn, quote, author: { id: req.user.id, name: req.user.name },
+    } });
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (err) {
+    console.error('Feedback error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Removes a note or turn annotation; overrides are removed through their own route.
+app.delete('/manager/feedback/:id', requireManager, async (req, res) => {
+  try {
+    const teamIds = await accessibleTeamIds(req.user);
+    const result = await pool.query(
+      'DELETE FROM session_feedback WHERE id = $1 AND team_id = ANY($2::int[]) AND category IS NULL',
+      [parseInt(req.params.id) || 0, teamIds]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Feedback not found.' });
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Body: { score (0-100), reason }. Replaces any earlier override of the same
+// category and shows up as unread feedback for the rep.
+app.put('/manager/sessions/:id/overrides/:category', requireManager, async (req, res) => {
+  try {
+    const { category } = req.params;
+    const score = Number(req.body.score), reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!OVERRIDE_CATEGORIES.includes(category)) return res.status(400).json({ error: `category must be one of ${OVERRIDE_CATEGORIES.join(', ')}.` });
+    if (!Number.isInteger(score) || score < 0 || score > 100) return res.status(400).json({ error: 'score must be a whole number from 0 to 100.' });
+    if (!reason) return res.status(400).json({ error: 'A reason is required.' });
+    const row = await managedSession(req.user, req.params.id);
+    if (!row || row.status !== 'scored') return res.status(404).json({ error: 'Session not found.' });
+    const analysis = row.analysis;
+    const aiScore = analysis.overrides?.[category]?.aiScore ?? analysisScore(analysis, category);
+    if (aiScore == null) return res.status(400).json({ error: `This session has no ${CATEGORY_LABELS[category] || category} score.` });
+
+    await pool.query(
+      `INSERT INTO session_feedback (user_id, team_id, rep_name, session_id, message, author_id, category, score, ai_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (session_id, category) WHERE category IS NOT NULL DO UPDATE SET
+         message = EXCLUDED.message, author_id = EXCLUDED.author_id, score = EXCLUDED.score,
+         ai_score = EXCLUDED.ai_score, created_at = NOW(), read_at = NULL`,
+      [row.user_id, row.team_id, row.rep_name, row.id, reason, req.user.id, category, score, aiScore]
+    );
+    analysis.overrides = { ...analysis.overrides, [category]: { aiScore, score, reason, author: req.user.name, at: new Date() } };
+    setAnalysisScore(analysis, category, score);
+    await pool.query('UPDATE sessions SET analysis = $2 WHERE id = $1', [row.id, JSON.stringify(analysis)]);
+    if (row.user_id) {
+      await refreshRepProgress(row.user_id);
+      await emitRepEvent(row.user_id, 'feedback.created', { feedback: {
+        kind: 'override', sessionId: row.id, category, score, aiScore, message: reason,
+        author: { id: req.user.id, name: req.user.name },
+      } });
+    }
+    res.json({ analysis });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Restores the AI's score for one category.
+app.delete('/manager/sessions/:id/overrides/:category', requireManager, async (req, res) => {
+  try {
+    const { category } = req.params;
+    const row = await managedSession(req.user, req.params.id);
+    if (!row) return res.status(404).json({ error: 'Session not found.' });
+    const analysis = row.analysis;
+    const override = analysis.overrides?.[category];
+    if (!override) return res.status(404).json({ error: 'That score has not been overridden.' });
+    await pool.query('DELETE FROM session_feedback WHERE session_id = $1 AND category = $2', [row.id, category]);
+    setAnalysisScore(analysis, category, override.aiScore);
+    delete analysis.overrides[category];
+    if (Object.keys(analysis.overrides).length === 0) delete analysis.overrides;
+    await pool.query('UPDATE sessions SET analysis = $2 WHERE id = $1', [row.id, JSON.stringify(analysis)]);
+    if (row.user_id) await refreshRepProgress(row.user_id);
+    res.json({ analysis });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Rep feedback (get) ────────────────────────────────────
+app.get('/feedback', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT f.id, f.message, f.session_id, f.turn, f.quote, f.category, f.score, f.ai_score,
+              f.created_at, f.read_at, u.name AS author
+       FROM session_feedback f LEFT JOIN users u ON u.id = f.author_id
+       WHERE f.user_id = $1
+       ORDER BY f.created_at DESC LIMIT 20`,
+      [req.user.id]
+    );
+    res.json({ feedback: result.rows });
+  } catch (err) {
+    console.error('Get feedback error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Rep feedback (mark read) ──────────────────────────────
+app.post('/feedback/read', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!ids || !ids.length) return res.json({ success: true });
+    await pool.query(
+      'UPDATE session_feedback SET read_at = NOW() WHERE id = ANY($1::int[]) AND user_id = $2',
+      [ids, req.user.id]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Mark read error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Legacy scorecard ──────────────────────────────────────
+app.post('/scorecard', requireAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const session = await getSession(sessionId || `default-${req.user.id}`, req.user);
+    if (!session) return res.status(404).json({ error: 'Session not found.' });
+    if (session.history.length === 0) return res.status(400).json({ error: 'No conversation to score yet.' });
+    const conversationText = roleplayTranscript(session.history);
+    const response = await llm.complete('analyzer', {
+      messages: [{ role: 'user', content: `Conversation:\n\n${conversationText}\n\nRate the rep 1-10 on each:\n\nOpening: [score]/10 — [feedback]\nObjection Handling: [score]/10 — [feedback]\nRapport: [score]/10 — [feedback]\nClosing Attempt: [score]/10 — [feedback]\nOverall: [score]/10 — [summary]` }],
+    });
+    await trackUsage(req.user, { route: '/scorecard', sessionId: session.id, tally: session.usage }, 'analyzer', response);
+    await saveSession(session);
+    res.json({ scorecard: response.text });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Legacy analyze ────────────────────────────────────────
+app.post('/analyze', requireAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const session = await getSession(sessionId || `default-${req.user.id}`, req.user);
+    if (!session) return res.status(404).json({ error: 'Session not found.' });
+    if (session.history.length === 0) return res.status(400).json({ error: 'No conversation to analyze.' });
+    const { scorecard, ...analysis } = await scoreConversation(session.history, {
+      onUsage: r => trackUsage(req.user, { route: '/analyze', sessionId: session.id, tally: session.usage }, 'analyzer', r),
+    });
+    await saveSession(session);
+    res.json({ analysis });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Get sessions ──────────────────────────────────────────
+app.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM sessions WHERE user_id = $1 AND status = 'scored' ORDER BY created_at DESC LIMIT 100",
+      [req.user.id]
+    );
+    const annotations = await sessionAnnotations(result.rows.map(r => r.id));
+    const turns = await sessionTurnsById(result.rows.map(r => r.id));
+    const retries = await sessionRetries(result.rows.map(r => r.id));
+    res.json({ sessions: result.rows.map(r => ({
+      id: r.id, date: r.created_at, duration: r.duration, repMessages: r.rep_messages, analysis: r.analysis, annotations: annotations[r.id] || [],
+      turns: turns[r.id] || [],
+      persona: r.persona, scenario: r.scenario, retryOf: r.retry_of, retryTurn: r.retry_turn, retries: retries[r.id] || [],
+    })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Live sessions (resume) ────────────────────────────────
+app.get('/live-sessions', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, persona, scenario, session_goal, curriculum_lesson, retry_of, retry_turn, created_at, updated_at,
+         jsonb_array_length(history) AS turns,
+         history->-1->>'content' AS last_message
+       FROM live_sessions
+       WHERE user_id = $1 AND ended_at IS NULL AND (jsonb_array_length(history) > 0 OR retry_of IS NOT NULL)
+       ORDER BY updated_at DESC LIMIT 10`,
+      [req.user.id]
+    );
+    res.json({ sessions: result.rows.map(r => ({
+      id: r.id, persona: r.persona, scenario: r.scenario, sessionGoal: r.session_goal,
+      curriculumLesson: r.curriculum_lesson, startedAt: r.created_at, updatedAt: r.updated_at,
+      retryOf: r.retry_of, retryTurn: r.retry_turn,
+      turns: Math.floor(r.turns / 2), lastMessage: (r.last_message || '').slice(0, 160),
+    })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/live-sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM live_sessions WHERE id = $1 AND user_id = $2 AND ended_at IS NULL', [req.params.id, req.user.id]);
+    const r = result.rows[0];
+    if (!r) return res.status(404).json({ error: 'Session not found or already ended.' });
+    res.json({ session: {
+      id: r.id, repName: r.rep_name, persona: r.persona, scenario: r.scenario, weakAreas: r.weak_areas,
+      drillObjection: r.drill_objection, sessionGoal: r.session_goal, curriculumLesson: r.curriculum_lesson,
+      coachMode: r.coach_mode, skepticism: r.skepticism, history: r.history, coaching: r.coaching, startedAt: r.created_at, updatedAt: r.updated_at,
+      retryOf: r.retry_of, retryTurn: r.retry_turn,
+    } });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Knowledge files ───────────────────────────────────────
+// A file with no team is shared across the organization; only admins may manage those.
+async function canManageKnowledgeTeam(user, teamId) {
+  if (!teamId) return user.role === 'admin';
+  return (await accessibleTeamIds(user)).includes(teamId);
+}
+
+// Uploads are parsed in memory and only the extracted text is stored.
+const KB_UPLOAD_MAX_BYTES = (parseInt(process.env.KB_UPLOAD_MAX_MB) || 10) * 1024 * 1024;
+const KB_SOURCE_TYPES = {
+  '.pdf': 'pdf', '.docx': 'docx', '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.csv': 'text',
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown', 'text/plain': 'text', 'text/csv': 'text',
+};
+const kbUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KB_UPLOAD_MAX_BYTES, files: 1 },
+  defParamCharset: 'utf8',
+}).single('file');
+
+function knowledgeSourceType(filename, mimetype) {
+  const ext = ((filename || '').match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+  return KB_SOURCE_TYPES[ext] || KB_SOURCE_TYPES[mimetype] || null;
+}
+
+async function extractKnowledgeText(buffer, sourceType) {
+  let text;
+  if (sourceType === 'pdf') {
+    const parser = new PDFParse({ data: buffer });
+    try { text = (await parser.getText()).text; } finally { await parser.destroy(); }
+    text = text.replace(/^-- \d+ of \d+ --$/gm, '');
+  } else if (sourceType === 'docx') {
+    text = (await mammoth.extractRawText({ buffer })).value;
+  } else {
+    text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+  return text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function addKnowledgeVersion(fileId, { content, sourceType, originalName, userId }) {
+  const version = (await pool.query(
+    `INSERT INTO knowledge_file_versions (file_id, version, content, source_type, original_name, uploaded_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5 FROM knowledge_file_versions WHERE file_id = $1
+     RETURNING id, version`,
+    [fileId, content, sourceType || 'text', originalName || null, userId]
+  )).rows[0];
+  await pool.query('UPDATE knowledge_files SET active_version_id = $1 WHERE id = $2', [version.id, fileId]);
+  knowledgeCache.clear();
+  return version;
+}
+
+// Shared by the JSON and multipart routes. With a fileId the content becomes a new
+// revision of that document; otherwise a new document is created for the chosen team.
+async function saveKnowledgeDocument(req, res, { filename, content, sourceType, originalName }) {
+  const fileId = parseInt(req.body.fileId) || null;
+  if (fileId) {
+    const file = (await pool.query('SELECT team_id FROM knowledge_files WHERE id = $1 AND organization_id = $2', [fileId, req.user.organizationId])).rows[0];
+    if (!file) return res.status(404).json({ error: 'Document not found.' });
+    if (!(await canManageKnowledgeTeam(req.user, file.team_id))) return res.status(403).json({ error: 'You cannot update documents for that team.' });
+    const version = await addKnowledgeVersion(fileId, { content, sourceType, originalName, userId: req.user.id });
+    return res.json({ success: true, id: fileId, version: version.version });
+  }
+  const rawTeam = req.body.teamId;
+  const teamId = rawTeam === null || rawTeam === '' ? null : (parseInt(rawTeam) || req.user.teamId || null);
+  if (!filename) return res.status(400).json({ error: 'filename required.' });
+  if (!(await canManageKnowledgeTeam(req.user, teamId))) return res.status(403).json({ error: 'You cannot add documents for that team.' });
+  const result = await pool.query(
+    'INSERT INTO knowledge_files (organization_id, team_id, filename) VALUES ($1, $2, $3) RETURNING id',
+    [req.user.organizationId, teamId, filename.trim()]
+  );
+  const version = await addKnowledgeVersion(result.rows[0].id, { content, sourceType, originalName, userId: req.user.id });
+  res.json({ success: true, id: result.rows[0].id, version: version.version });
+}
+
+app.post('/knowledge-file', requireManager, async (req, res) => {
+  try {
+    const { filename, content } = req.body;
+    if ((!filename && !req.body.fileId) || !content || !content.trim()) return res.status(400).json({ error: 'filename and content required.' });
+    await saveKnowledgeDocument(req, res, { filename, content: content.trim(), sourceType: 'text' });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-// ── Knowledge base cache ──────────────────────────────────
-let knowledgeCache    = null;
-let knowledgeCacheTime = 0;
+// Multipart upload (field "file") for PDF, DOCX, Markdown and plain text.
+app.post('/knowledge-file/upload', requireManager, (req, res, next) => {
+  kbUpload(req, res, err => {
+    if (!err) return next();
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Files must be under ${KB_UPLOAD_MAX_BYTES / 1024 / 1024} MB.` : err.message });
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file required.' });
+    const sourceType = knowledgeSourceType(req.file.originalname, req.file.mimetype);
+    if (!sourceType) return res.status(400).json({ error: 'Unsupported file type. Upload a PDF, DOCX, Markdown or text file.' });
+    let content;
+    try {
+      content = await extractKnowledgeText(req.file.buffer, sourceType);
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read that ${sourceType.toUpperCase()} file: ${err.message}` });
+    }
+    if (!content) return res.status(400).json({ error: 'No text could be extracted from that file.' });
+    await saveKnowledgeDocument(req, res, {
+      filename: req.body.filename || req.file.originalname,
+      content, sourceType, originalName: req.file.originalname,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-async function getKnowledgeBase() {
-  const now = Date.now();
-  if (knowledgeCache && (now - knowledgeCacheTime) < 60_000) return knowledgeCache;
-  const result = await pool.query('SELECT filename, content FROM knowledge_files ORDER BY uploaded_at');
-  knowledgeCache     = result.rows;
-  knowledgeCacheTime = now;
-  return knowledgeCache;
-}
+app.get('/knowledge-files', requireAuth, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not have access to that team.' });
+    const result = await pool.query(
+      `SELECT k.id, k.filename, LEFT(v.content, 120) AS preview, k.uploaded_at, k.team_id, t.name AS team_name,
+              v.version, v.source_type, v.created_at AS version_uploaded_at,
+              (SELECT COUNT(*)::int FROM knowledge_file_versions WHERE file_id = k.id) AS version_count
+       FROM knowledge_files k
+       JOIN knowledge_file_versions v ON v.id = k.active_version_id
+       LEFT JOIN teams t ON t.id = k.team_id
+       WHERE k.organization_id = $1 AND (k.team_id IS NULL OR k.team_id = ANY($2::int[]))
+       ORDER BY k.uploaded_at DESC`,
+      [req.user.organizationId, teamIds]
+    );
+    res.json({ files: result.rows });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-// ── Per-session state ─────────────────────────────────────
-const activeSessions = new Map();
-
-function getSession(id) {
-  if (!activeSessions.has(id)) {
-    activeSessions.set(id, {
-      history: [],
-      persona: 'standard',
-      scenario: 'cold-knock',
-      weakAreas: [],
-      drillObjection: null,
-      sessionGoal: null,
-      curriculumLesson: null,
-      lastActivity: Date.now(),
-    });
-  }
-  const s = activeSessions.get(id);
-  s.lastActivity = Date.now();
-  return s;
+async function getManagedKnowledgeFile(req, res) {
+  const file = (await pool.query(
+    'SELECT id, team_id, active_version_id FROM knowledge_files WHERE id = $1 AND organization_id = $2',
+    [req.params.id, req.user.organizationId]
+  )).rows[0];
+  if (!file) { res.status(404).json({ error: 'Document not found.' }); return null; }
+  if (!(await canManageKnowledgeTeam(req.user, file.team_id))) { res.status(403).json({ error: 'You cannot manage documents for that team.' }); return null; }
+  return file;
 }
 
-setInterval(() => {
-  const cutoff = Date.now() - 2 * 60 * 60 * 1000;
-  for (const [id, s] of activeSessions) {
-    if (s.lastActivity < cutoff) activeSessions.delete(id);
-  }
-}, 30 * 60 * 1000);
+app.get('/knowledge-file/:id/versions', requireManager, async (req, res) => {
+  try {
+    const file = await getManagedKnowledgeFile(req, res);
+    if (!file) return;
+    const result = await pool.query(
+      `SELECT v.id, v.version, v.source_type, v.original_name, LENGTH(v.content) AS chars,
+              LEFT(v.content, 120) AS preview, v.created_at, u.name AS uploaded_by
+       FROM knowledge_file_versions v LEFT JOIN users u ON u.id = v.uploaded_by
+       WHERE v.file_id = $1 ORDER BY v.version DESC`,
+      [file.id]
+    );
+    res.json({ versions: result.rows.map(v => ({ ...v, active: v.id === file.active_version_id })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-// ── Personas ──────────────────────────────────────────────
-const PERSONAS = {
-  standard:       'You are mildly annoyed at the interruption but willing to hear a short pitch.',
-  budget:         'Money is very tight right now. You keep steering back to cost and whether insurance will cover it. Push back hard on price.',
-  bad_contractor: 'A contractor scammed you two years ago — took a large deposit and left the job unfinished. You are deeply suspicious of any home-services salesperson.',
-  has_contractor: 'Your brother-in-law does roofing and you always use family for home projects. You deflect to this whenever possible.',
-  spouse_away:    'You cannot make any financial decisions without your spouse, who is at work. You are somewhat interested but keep deferring.',
-  skeptical:      'You are very busy and skeptical of door-to-door salespeople. You are about to close the door and the rep has very little time to earn your attention.',
-};
+// Rolling back only moves the active pointer, so later revisions stay in the history.
+app.post('/knowledge-file/:id/rollback', requireManager, async (req, res) => {
+  try {
+    const file = await getManagedKnowledgeFile(req, res);
+    if (!file) return;
+    const version = (await pool.query(
+      'SELECT id, version FROM knowledge_file_versions WHERE id = $1 AND file_id = $2',
+      [parseInt(req.body.versionId) || 0, file.id]
+    )).rows[0];
+    if (!version) return res.status(404).json({ error: 'Version not found.' });
+    await pool.query('UPDATE knowledge_files SET active_version_id = $1 WHERE id = $2', [version.id, file.id]);
+    knowledgeCache.clear();
+    res.json({ success: true, version: version.version });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-// ── Scenarios ─────────────────────────────────────────────
-const SCENARIOS = {
-  'cold-knock': 'A door-to-door roofing sales rep has just knocked on your door unexpectedly.',
-  'post-storm': 'There was a significant hailstorm in your neighborhood two days ago. A roofing rep came by. You noticed granules in your gutters but have not had a professional look yet.',
-  'referral':   'Your next-door neighbor mentioned a roofing company might stop by. You vaguely remember them saying that, so you are slightly more open than usual but still cautious.',
-  'insurance':  'Your insurance adjuster recently confirmed you have a legitimate storm damage claim, but you have not started the repair process yet.',
-};
+app.delete('/knowledge-file/:id', requireManager, async (req, res) => {
+  try {
+    const file = (await pool.query('SELECT team_id FROM knowledge_files WHERE id = $1 AND organization_id = $2', [req.params.id, req.user.organizationId])).rows[0];
+    if (!file) return res.status(404).json({ error: 'Document not found.' });
+    if (!(await canManageKnowledgeTeam(req.user, file.team_id))) return res.status(403).json({ error: 'You cannot delete documents for that team.' });
+    await pool.query('DELETE FROM knowledge_files WHERE id = $1', [req.params.id]);
+    knowledgeCache.clear();
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-// ── Curriculum lesson notes ───────────────────────────────
-const CURRICULUM = {
-  1: '\n\nCURRICULUM — LESSON 1 (Opener Only): Keep the conversation brief. Coach exclusively on the rep\'s opening — name, company, specific reason for being there. After 3-4 exchanges wrap up.',
-  2: '\n\nCURRICULUM — LESSON 2 (Opener + Rapport): Let the conversation develop but focus coaching almost entirely on rapport-building. Is the rep connecting as a human or just pitching?',
-  3: '\n\nCURRICULUM — LESSON 3 (Objection Handling): Throw at least 2-3 solid objections. Coach should focus almost entirely on how the rep handles each one.',
-  4: '\n\nCURRICULUM — LESSON 4 (Full Pitch): Full natural conversation from opener to close attempt. Coach on all aspects equally.',
-  5: '\n\nCURRICULUM — LESSON 5 (Elite Challenge): You are maximally skeptical on a cold knock. Push back on everything. The rep must score 70+ to pass this lesson.',
-};
+// ── Manager endpoints ─────────────────────────────────────
+// Shared by the dashboard endpoints and the CSV/PDF exports so both always agree.
+async function getRepStats(teamIds, days) {
+  const result = await pool.query(
+    `SELECT s.user_id, COALESCE(u.name, s.rep_name) AS rep_name, COUNT(*)::int AS session_count,
+       ROUND(AVG((s.analysis->>'overall')::numeric))::int AS avg_score,
+       MAX((s.analysis->>'overall')::numeric)::int AS best_score,
+       MAX(s.created_at) AS last_active,
+       json_agg(s.analysis ORDER BY s.created_at DESC) AS all_analyses
+     FROM sessions s LEFT JOIN users u ON u.id = s.user_id
+     WHERE s.team_id = ANY($1::int[]) AND s.status = 'scored' ${days ? `AND s.created_at >= NOW() - ($2 || ' days')::interval` : ''}
+     GROUP BY s.user_id, COALESCE(u.name, s.rep_name) ORDER BY avg_score DESC`,
+    days ? [teamIds, days] : [teamIds]
+  );
+  return result.rows.map(row => {
+    const analyses = row.all_analyses || [];
+    const scores = analyses.map(a => a.overall || 0);
+    const latestScore = scores[0] || 0;
+    let improvement = null;
+    if (scores.length >= 4) {
+      const half = Math.floor(scores.length / 2);
+      const newer = scores.slice(0, half).reduce((a, b) => a + b, 0) / half;
+      const older = scores.slice(-half).reduce((a, b) => a + b, 0) / half;
+      improvement = Math.round(newer - older);
+    }
+    const catAvgs = {};
+    ANALYSIS_CATEGORIES.forEach(k => {
+      const vals = analyses.map(a => a.breakdown?.[k]?.score).filter(v => v != null);
+      catAvgs[k] = vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : null;
+    });
+    return { userId: row.user_id, name: row.rep_name, sessionCount: row.session_count, avgScore: row.avg_score, bestScore: row.best_score, latestScore, lastActive: row.last_active, improvement, catAvgs, topIssues: analyses.map(a => a.keyImprovement).filter(Boolean).slice(0, 3) };
+  });
+}
 
-// ── Build system prompt ───────────────────────────────────
-async function buildSystemPrompt(persona = 'standard', scenario = 'cold-knock', weakAreas = [], opts = {}) {
-  const { drillObjection, sessionGoal, curriculumLesson } = opts;
+// Sessions saved before accounts existed and never claimed only have a rep name.
+async function getRepSessions(teamIds, { userId, rep, days }) {
+  const repFilter = userId ? 'user_id = $1' : 'user_id IS NULL AND LOWER(rep_name) = LOWER($1)';
+  const result = await pool.query(
+    `SELECT * FROM sessions WHERE ${repFilter} AND team_id = ANY($2::int[]) AND status = 'scored' ${days ? `AND created_at >= NOW() - ($3 || ' days')::interval` : ''} ORDER BY created_at DESC LIMIT 100`,
+    days ? [userId || rep.trim(), teamIds, days] : [userId || rep.trim(), teamIds]
+  );
+  const clips = await pool.query(
+    `SELECT id, session_id, turn, metrics, audio IS NOT NULL AS has_audio FROM voice_clips
+     WHERE session_id = ANY($1::int[]) AND turn IS NOT NULL ORDER BY turn, id`,
+    [result.rows.map(r => r.id)]
+  );
+  // Rep turn number -> the clip spoken in it (the last upload wins if a turn was retried)
+  const clipsBySession = {};
+  for (const c of clips.rows) {
+    (clipsBySession[c.session_id] ||= {})[c.turn] = { id: c.id, hasAudio: c.has_audio, voiceNote: formatVoiceNote(c.metrics) };
+  }
+  const annotations = await sessionAnnotations(result.rows.map(r => r.id));
+  const turns = await sessionTurnsById(result.rows.map(r => r.id));
+  const retries = await sessionRetries(result.rows.map(r => r.id));
+  return result.rows.map(r => ({
+    id: r.id, date: r.created_at, duration: r.duration, repMessages: r.rep_messages, analysis: r.analysis,
+    clips: clipsBySession[r.id] || {}, annotations: annotations[r.id] || [], turns: turns[r.id] || [],
+    retryOf: r.retry_of, retryTurn: r.retry_turn, retries: retries[r.id] || [],
+  }));
+}
+
+app.get('/manager/reps', requireManager, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
+    res.json({ reps: await getRepStats(teamIds, parseInt(req.query.days) || null) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-  const personaTxt  = PERSONAS[persona]   || PERSONAS.standard;
-  const scenarioTxt = SCENARIOS[scenario] || SCENARIOS['cold-knock'];
+app.get('/manager/sessions', requireManager, async (req, res) => {
+  try {
+    const { userId, rep, days } = req.query;
+    if (!userId && !rep) return res.status(400).json({ error: 'userId or rep query param required.' });
+    const teamIds = await accessibleTeamIds(req.user);
+    res.json({ sessions: await getRepSessions(teamIds, { userId, rep, days: parseInt(days) || null }) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-  const weakAreaNote = weakAreas.length > 0
-    ? `\n\n[COACHING FOCUS: This rep historically struggles with ${weakAreas.join(' and ')}. Watch closely for these patterns and call them out immediately when they appear.]`
-    : '';
+// Sessions saved without a score because analysis failed.
+app.get('/manager/sessions/unscored', requireManager, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
+    const result = await pool.query(
+      `SELECT s.id, s.user_id, COALESCE(u.name, s.rep_name) AS rep_name, s.created_at, s.rep_messages, s.scoring_error
+       FROM sessions s LEFT JOIN users u ON u.id = s.user_id
+       WHERE s.team_id = ANY($1::int[]) AND s.status = 'unscored'
+       ORDER BY s.created_at DESC LIMIT 100`,
+      [teamIds]
+    );
+    res.json({ sessions: result.rows.map(r => ({
+      id: r.id, userId: r.user_id, repName: r.rep_name, date: r.created_at, repMessages: r.rep_messages, scoringError: r.scoring_error,
+    })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-  const drillNote = drillObjection
-    ? `\n\nDRILL MODE: Throw the following objection every single turn in different variations: "${drillObjection}". The coach should focus exclusively on how well the rep handles this objection and give very specific corrective guidance each turn.`
-    : '';
+// Scores (or re-scores) a saved session from its stored conversation.
+app.post('/manager/sessions/:id/rescore', requireManager, async (req, res) => {
+  try {
+    const teamIds = await accessibleTeamIds(req.user);
+    const row = (await pool.query('SELECT * FROM sessions WHERE id = $1 AND team_id = ANY($2::int[])', [req.params.id, teamIds])).rows[0];
+    if (!row) return res.status(404).json({ error: 'Session not found.' });
+    if (!Array.isArray(row.history) || row.history.length === 0) {
+      return res.status(400).json({ error: 'This session has no stored conversation to re-score.' });
+    }
+    const context = analysisContext(row.analysis || {});
+    const usage = row.usage || {};
+    const owner = { id: row.user_id, teamId: row.team_id, organizationId: req.user.organizationId };
 
-  const goalNote = sessionGoal
-    ? `\n\nSESSION GOAL: The rep has set this goal for today: "${sessionGoal}". Note in your COACH feedback each turn whether they are making progress toward it.`
-    : '';
+    let result;
+    try {
+      result = await scoreConversation(row.history, {
+        sessionGoal: context.sessionGoal,
+        objections:  await getObjections(req.user.organizationId),
+        onUsage: r => trackUsage(owner, { route: '/manager/sessions/rescore', tally: usage }, 'analyzer', r),
+      });
+    } catch (err) {
+      await pool.query('UPDATE sessions SET scoring_error = $2 WHERE id = $1', [row.id, err.message]);
+      return res.status(502).json({ error: err.message });
+    }
+    const { scorecard, ...analysis } = result;
+    const fullAnalysis = await applyScoreOverrides(row.id, { ...analysis, ...context });
+    await pool.query(
+      "UPDATE sessions SET analysis = $2, status = 'scored', scoring_error = NULL, usage = $3 WHERE id = $1",
+      [row.id, JSON.stringify(fullAnalysis), JSON.stringify(usage)]
+    );
+    await saveSessionObjections(row.id, owner, fullAnalysis.objections);
 
-  const currNote = curriculumLesson ? (CURRICULUM[curriculumLesson] || '') : '';
+    // Lesson attempts and ratings only count the first time the session gets a score
+    if (row.status !== 'scored' && row.user_id) {
+      const rep = (await pool.query('SELECT id, organization_id FROM users WHERE id = $1', [row.user_id])).rows[0];
+      if (rep) {
+        const repUser = { id: rep.id, organizationId: rep.organization_id };
+        if (row.lesson_id) await recordLessonAttempt(repUser, row.lesson_id);
+        await updateRepRating(repUser, { persona: row.persona, scenario: row.scenario, skepticism: row.skepticism, overall: analysis.overall });
+      }
+      await emitSessionEvents(row.id, { completed: false });
+    }
+    if (row.user_id) await refreshRepProgress(row.user_id);
+    res.json({ scorecard, analysis: fullAnalysis });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-  const base = `You are roleplaying as a homeowner. ${scenarioTxt} ${personaTxt}
+// Reps × objections for the ?teamId= / ?days= scope. Each rep's cells are keyed
+// by objection id; `next` is what drill mode will suggest to that rep.
+app.get('/manager/objections', requireManager, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
+    const objections = await getObjections(req.user.organizationId);
+    const stats = await getObjectionStats({ teamIds, days: parseInt(req.query.days) || null });
+    const reps = new Map();
+    for (const s of stats) {
+      if (!reps.has(s.userId)) reps.set(s.userId, { userId: s.userId, name: s.repName, cells: {} });
+      const { userId, repName, objectionId, ...cell } = s;
+      reps.get(s.userId).cells[objectionId] = cell;
+    }
+    res.json({
+      objections,
+      reps: [...reps.values()]
+        .map(r => ({ ...r, next: nextDrillObjection(objections, r.cells) }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      target: OBJECTION_DRILL_TARGET,
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-After each rep message, respond in character as the homeowner, then on a new line add:
-COACH: [2-3 sentences of direct, specific feedback. Quote the exact words or phrases the rep just used. Always end your feedback with a suggested alternative — format it as: Try instead: "[exact phrase to use]". If voice metrics are present (WPM, energy, filler words), address them explicitly — ideal pace: 130-150 WPM, filler words kill credibility, monotone delivery loses attention. Reference training materials when relevant.]
+// Spend by rep, day and model over the ?days= window (default 30), plus each
+// team's limits and what it has spent today.
+app.get('/manager/usage', requireManager, async (req, res) => {
+  try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
+    const days = parseInt(req.query.days) || 30;
+    const scope = `u.team_id = ANY($1::int[]) AND u.created_at >= NOW() - ($2 || ' days')::interval`;
+    const sums = `COUNT(*)::int AS calls, COALESCE(SUM(u.input_tokens), 0)::int AS input_tokens,
+                  COALESCE(SUM(u.output_tokens), 0)::int AS output_tokens, COALESCE(SUM(u.cost_usd), 0)::float AS cost_usd`;
+    const [totals, byDay, byRep, byModel, teams] = await Promise.all([
+      pool.query(`SELECT ${sums} FROM llm_usage u WHERE ${scope}`, [teamIds, days]),
+      pool.query(
+        `SELECT to_char(date_trunc('day', u.created_at), 'YYYY-MM-DD') AS day, ${sums}
+         FROM llm_usage u WHERE ${scope} GROUP BY 1 ORDER BY 1`,
+        [teamIds, days]
+      ),
+      pool.query(
+        `SELECT u.user_id, COALESCE(r.name, 'Unknown') AS name, ${sums},
+                COALESCE(SUM(u.cost_usd) FILTER (WHERE u.created_at >= date_trunc('day', NOW())), 0)::float AS today_cost_usd
+         FROM llm_usage u LEFT JOIN users r ON r.id = u.user_id
+         WHERE ${scope} GROUP BY u.user_id, r.name ORDER BY cost_usd DESC`,
+        [teamIds, days]
+      ),
+      pool.query(
+        `SELECT u.model, u.role, ${sums} FROM llm_usage u WHERE ${scope} GROUP BY u.model, u.role ORDER BY cost_usd DESC`,
+        [teamIds, days]
+      ),
+      pool.query(
+        `SELECT t.id, t.name, t.daily_limit_usd, t.rep_daily_limit_usd,
+                COALESCE((SELECT SUM(cost_usd) FROM llm_usage WHERE team_id = t.id AND created_at >= date_trunc('day', NOW())), 0)::float AS today_cost_usd
+         FROM teams t WHERE t.id = ANY($1::int[]) ORDER BY t.name`,
+        [teamIds]
+      ),
+    ]);
+    const sum = r => ({ calls: r.calls, inputTokens: r.input_tokens, outputTokens: r.output_tokens, costUsd: r.cost_usd });
+    res.json({
+      days,
+      totals: sum(totals.rows[0]),
+      byDay:   byDay.rows.map(r => ({ day: r.day, ...sum(r) })),
+      byRep:   byRep.rows.map(r => ({ userId: r.user_id, name: r.name, todayCostUsd: r.today_cost_usd, ...sum(r) })),
+      byModel: byModel.rows.map(r => ({ model: r.model, role: r.role, ...sum(r) })),
+      budgets: teams.rows.map(t => ({
+        teamId: t.id, teamName: t.name, todayCostUsd: t.today_cost_usd,
+        dailyLimitUsd:    t.daily_limit_usd != null ? Number(t.daily_limit_usd) : null,
+        repDailyLimitUsd: t.rep_daily_limit_usd != null ? Number(t.rep_daily_limit_usd) : null,
+      })),
+      defaults: { dailyLimitUsd: TEAM_DAILY_LIMIT_USD, repDailyLimitUsd: REP_DAILY_LIMIT_USD },
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-Adjust your skepticism dynamically: if the rep builds genuine rapport and handles your concerns well, warm up gradually. If they fumble objections, sound scripted, or ignore your concerns, increase your resistance.${weakAreaNote}${drillNote}${goalNote}${currNote}`;
+// ── Webhooks & digests ────────────────────────────────────
+// Managers register URLs that receive a JSON POST when something happens to a
+// rep on their team. Every event is queued per webhook in webhook_deliveries
+// and sent in the background; a failed send is retried on the
+// WEBHOOK_RETRY_MINUTES schedule, then the delivery is marked failed.
+// X-Coach-Signature is "sha256=" + the hex HMAC-SHA256 of
+// "<X-Coach-Timestamp>.<raw body>", keyed with the webhook's secret.
+// scripts/webhook-receiver.js is a local receiver for trying deliveries out.
+const WEBHOOK_EVENTS = {
+  'session.completed': 'Session completed',
+  'lesson.passed':     'Lesson passed',
+  'score.dropped':     'Score drop',
+  'feedback.created':  'New manager feedback',
+  'digest.weekly':     'Weekly digest',
+};
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 720];
+const WEBHOOK_TIMEOUT_MS    = 10000;
+const WEBHOOK_BATCH         = 20;
+const WEBHOOK_KEEP_DAYS     = 30;
+// A scored session this many points under the average of the rep's previous
+// SCORE_DROP_WINDOW sessions (at least 3 of them) is a score drop.
+const SCORE_DROP_POINTS = parseInt(process.env.SCORE_DROP_POINTS) || 15;
+const SCORE_DROP_WINDOW = 5;
+// Digests go out on this ISO weekday (1 = Monday) from this hour, in STREAK_TIMEZONE
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY) || 1;
+const DIGEST_HOUR    = process.env.DIGEST_HOUR ? parseInt(process.env.DIGEST_HOUR) : 8;
 
-  const files = await getKnowledgeBase();
-  if (files.length === 0) return base;
+// Webhooks may not reach into the server's own network: loopback, private,
+// link-local (cloud metadata lives at 169.254.169.254) and other non-public
+// ranges are refused when a webhook is saved and again on every connection,
+// since a hostname can be re-pointed in between. WEBHOOK_ALLOW_PRIVATE=true
+// lifts this for local testing with scripts/webhook-receiver.js.
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const WEBHOOK_BLOCKED = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  WEBHOOK_BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  WEBHOOK_BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+const WEBHOOK_BLOCKED_MESSAGE = 'Webhooks cannot point at private, loopback or link-local addresses.';
 
-  const totalBudget = 15000;
-  const perFile = Math.min(6000, Math.floor(totalBudget / Math.max(files.length, 1)));
-  const kb = files.map(f => {
-    let content = f.content;
-    if (content.length > perFile) {
-      const cut = content.lastIndexOf('\n', perFile);
-      content = content.slice(0, cut > 0 ? cut : perFile) + '\n[…truncated]';
-    }
-    return `--- ${f.filename} ---\n${content}`;
-  }).join('\n\n');
+function webhookAddressAllowed(address) {
+  return WEBHOOK_ALLOW_PRIVATE || !WEBHOOK_BLOCKED.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
 
-  return `${base}\n\n[TRAINING MATERIALS — reference these when coaching]\n${kb}`;
+// dns.lookup for http.request that refuses a host if any of its addresses is blocked.
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.every(a => webhookAddressAllowed(a.address))) return callback(new Error(WEBHOOK_BLOCKED_MESSAGE));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
 }
 
-// ── Chat ──────────────────────────────────────────────────
-app.post('/chat', async (req, res) => {
+// Returns an error message when the URL's host is (or resolves to) a blocked address.
+async function webhookHostError(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
   try {
-    const { message, sessionId, persona, scenario, weakAreas, drillObjection, sessionGoal, curriculumLesson } = req.body;
-    if (!message || !message.trim()) return res.status(400).json({ error: 'Message is required.' });
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (_) {
+    return `Could not resolve ${host}.`;
+  }
+  return addresses.every(a => webhookAddressAllowed(a.address)) ? null : WEBHOOK_BLOCKED_MESSAGE;
+}
 
-    const session = getSession(sessionId || 'default');
-    if (persona)                  session.persona          = persona;
-    if (scenario)                 session.scenario         = scenario;
-    if (Array.isArray(weakAreas)) session.weakAreas        = weakAreas;
-    if (drillObjection !== undefined) session.drillObjection = drillObjection;
-    if (sessionGoal !== undefined)    session.sessionGoal    = sessionGoal;
-    if (curriculumLesson !== undefined) session.curriculumLesson = curriculumLesson;
+// POSTs the body and resolves with the response status. Redirects aren't
+// followed; the connection only goes to an address webhookLookup allowed.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host   = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !webhookAddressAllowed(host)) return reject(new Error(WEBHOOK_BLOCKED_MESSAGE));
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST', lookup: webhookLookup, headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    }, res => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), WEBHOOK_TIMEOUT_MS);
+    req.on('error', err => { clearTimeout(timer); reject(err); });
+    req.end(body);
+  });
+}
 
-    session.history.push({ role: 'user', content: message });
+function webhookSignature(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
-    const systemPrompt = await buildSystemPrompt(session.persona, session.scenario, session.weakAreas, {
-      drillObjection:  session.drillObjection,
-      sessionGoal:     session.sessionGoal,
-      curriculumLesson: session.curriculumLesson,
-    });
+// Queues the event for every active webhook subscribed to it that covers the
+// team and returns the delivery ids.
+async function enqueueWebhookEvent(organizationId, teamId, event, data) {
+  const { rows: hooks } = await pool.query(
+    `SELECT id FROM webhooks
+     WHERE organization_id = $1 AND active AND events ? $2 AND (team_id IS NULL OR team_id = $3)`,
+    [organizationId, event, teamId]
+  );
+  const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date(), organizationId, teamId, data });
+  const ids = [];
+  for (const h of hooks) {
+    const { rows } = await pool.query(
+      'INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES ($1, $2, $3) RETURNING id',
+      [h.id, event, payload]
+    );
+    ids.push(rows[0].id);
+  }
+  if (ids.length) kickWebhookDeliveries();
+  return ids;
+}
 
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: session.history,
+// An event about one rep, who goes in data.rep. Failures are logged and never
+// fail the request that raised the event.
+async function emitRepEvent(repId, event, data) {
+  try {
+    const rep = (await pool.query('SELECT id, name, email, team_id, organization_id FROM users WHERE id = $1', [repId])).rows[0];
+    if (!rep) return;
+    await enqueueWebhookEvent(rep.organization_id, rep.team_id, event, {
+      rep: { id: rep.id, name: rep.name, email: rep.email, teamId: rep.team_id },
+      ...data,
     });
+  } catch (err) { console.error('Webhook event error:', err.message); }
+}
 
-    const assistantMessage = response.content[0].text;
-    session.history.push({ role: 'assistant', content: assistantMessage });
+// session.completed when a session is saved (completed: true), and
+// score.dropped once it has a score well under the rep's recent average.
+async function emitSessionEvents(sessionId, { completed = true } = {}) {
+  try {
+    const row = (await pool.query('SELECT * FROM sessions WHERE id = $1', [sessionId])).rows[0];
+    if (!row || !row.user_id) return;
+    const scored = row.status === 'scored';
+    const session = {
+      id: row.id, date: row.created_at, status: row.status, overall: scored ? row.analysis.overall : null,
+      summary: scored ? row.analysis.summary || null : null, persona: row.persona, scenario: row.scenario,
+      skepticism: row.skepticism, lessonId: row.lesson_id, retryOf: row.retry_of,
+    };
+    if (completed) await emitRepEvent(row.user_id, 'session.completed', { session });
+    if (!scored) return;
+    const { rows: previous } = await pool.query(
+      `SELECT (analysis->>'overall')::numeric AS overall FROM sessions
+       WHERE user_id = $1 AND status = 'scored' AND id <> $2 AND created_at <= $3
+       ORDER BY created_at DESC LIMIT $4`,
+      [row.user_id, row.id, row.created_at, SCORE_DROP_WINDOW]
+    );
+    if (previous.length < 3) return;
+    const recentAverage = Math.round(previous.reduce((sum, r) => sum + Number(r.overall), 0) / previous.length);
+    const drop = recentAverage - row.analysis.overall;
+    if (drop >= SCORE_DROP_POINTS) await emitRepEvent(row.user_id, 'score.dropped', { session, recentAverage, drop });
+  } catch (err) { console.error('Webhook event error:', err.message); }
+}
 
-    res.json({ response: assistantMessage });
+async function sendWebhookDelivery(d) {
+  const body = JSON.stringify(d.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let status = null, error = null;
+  try {
+    status = await postWebhook(d.url, {
+      'Content-Type':      'application/json',
+      'User-Agent':        'D2DCoach-Webhooks',
+      'X-Coach-Event':     d.event,
+      'X-Coach-Delivery':  String(d.id),
+      'X-Coach-Timestamp': timestamp,
+      'X-Coach-Signature': webhookSignature(d.secret, timestamp, body),
+    }, body);
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
   } catch (err) {
-    console.error('Chat error:', err.message);
-    res.status(500).json({ error: err.message });
+    error = err.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s` : (err.cause?.message || err.message);
   }
-});
-
-// ── End session ───────────────────────────────────────────
-app.post('/end-session', async (req, res) => {
-  try {
-    const { sessionId, repName, duration, repMessages, transcript, sessionGoal, curriculumLesson } = req.body;
-    const session = getSession(sessionId || 'default');
-    if (session.history.length === 0) return res.status(400).json({ error: 'No conversation to analyze.' });
+  const attempts = d.attempts + 1;
+  const retryIn  = WEBHOOK_RETRY_MINUTES[attempts - 1];
+  const outcome  = !error ? 'delivered' : retryIn ? 'pending' : 'failed';
+  await pool.query(
+    `UPDATE webhook_deliveries SET attempts = $2, response_status = $3, last_error = $4, status = $5,
+       delivered_at = CASE WHEN $5 = 'delivered' THEN NOW() END,
+       next_attempt_at = CASE WHEN $5 = 'pending' THEN NOW() + ($6 || ' minutes')::interval END
+     WHERE id = $1`,
+    [d.id, attempts, status, error, outcome, retryIn || 0]
+  );
+}
 
-    const conversationText = session.history
-      .map(m => `${m.role === 'user' ? 'SALES REP' : 'HOMEOWNER/COACH'}: ${m.content}`)
-      .join('\n\n');
+// Sends every due delivery of an active webhook. A delivery is claimed by
+// pushing its next attempt past the send timeout, so overlapping runs never
+// send it twice; paused webhooks keep theirs queued until switched back on.
+async function deliverDueWebhooks() {
+  for (;;) {
+    const { rows } = await pool.query(
+      `UPDATE webhook_deliveries d SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+       FROM webhooks w
+       WHERE w.id = d.webhook_id AND d.id IN (
+         SELECT q.id FROM webhook_deliveries q JOIN webhooks h ON h.id = q.webhook_id
+         WHERE q.status = 'pending' AND q.next_attempt_at <= NOW() AND h.active
+         ORDER BY q.next_attempt_at LIMIT $1 FOR UPDATE OF q SKIP LOCKED
+       )
+       RETURNING d.*, w.url, w.secret`,
+      [WEBHOOK_BATCH]
+    );
+    if (!rows.length) return;
+    for (const d of rows) await sendWebhookDelivery(d);
+  }
+}
 
-    const goalInstruction = sessionGoal
-      ? `\nThe rep set this session goal: "${sessionGoal}". Also include in your JSON: "goalAchieved": <true or false>, "goalFeedback": "<one sentence on whether/how they met it>"`
-      : '';
+let webhookRun = null;
 
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 2048,
-      messages: [{
-        role: 'user',
-        content: `You are an expert door-to-door sales coach. Analyze this roofing sales practice session and return ONLY a valid JSON object — no markdown, no extra text.
+function kickWebhookDeliveries() {
+  if (webhookRun) return;
+  webhookRun = deliverDueWebhooks()
+    .catch(err => console.error('Webhook delivery error:', err.message))
+    .finally(() => { webhookRun = null; });
+}
 
-Conversation:
-${conversationText}
+// The last 7 days for one team, from the same aggregates as /manager/reps.
+// Inactive reps are those on the team without a scored session in the week.
+async function weeklyDigest(team) {
+  const reps = await getRepStats([team.id], 7);
+  const { rows: roster } = await pool.query(
+    `SELECT u.id, u.name, u.email, MAX(s.created_at) AS last_active
+     FROM users u LEFT JOIN sessions s ON s.user_id = u.id AND s.status = 'scored'
+     WHERE u.team_id = $1 AND u.role = 'rep'
+     GROUP BY u.id ORDER BY u.name`,
+    [team.id]
+  );
+  const emails   = new Map(roster.map(u => [u.id, u.email]));
+  const sessions = reps.reduce((sum, r) => sum + r.sessionCount, 0);
+  const inactive = roster.filter(u => !reps.some(r => r.userId === u.id));
+  return {
+    team: { id: team.id, name: team.name },
+    from: new Date(Date.now() - 7 * 86400000),
+    to:   new Date(),
+    totals: {
+      sessions,
+      activeReps:   reps.length,
+      inactiveReps: inactive.length,
+      avgScore:     sessions ? Math.round(reps.reduce((sum, r) => sum + r.avgScore * r.sessionCount, 0) / sessions) : null,
+    },
+    reps: reps.map(r => ({
+      userId: r.userId, name: r.name, email: emails.get(r.userId) || null, sessionCount: r.sessionCount,
+      avgScore: r.avgScore, bestScore: r.bestScore, latestScore: r.latestScore, improvement: r.improvement,
+      lastActive: r.lastActive, catAvgs: r.catAvgs, topIssues: r.topIssues,
+    })),
+    inactive: inactive.map(u => ({ userId: u.id, name: u.name, email: u.email, lastActive: u.last_active })),
+  };
+}
 
-Return exactly this structure:
-{
-  "scorecard": "Opening: [score]/10 — [one sentence feedback]\\nObjection Handling: [score]/10 — [one sentence feedback]\\nRapport: [score]/10 — [one sentence feedback]\\nClosing Attempt: [score]/10 — [one sentence feedback]\\nOverall: [score]/10 — [summary sentence]",
-  "overall": <integer 0-100>,
-  "breakdown": {
-    "opening":           { "score": <0-100>, "feedback": "<one sentence>" },
-    "objectionHandling": { "score": <0-100>, "feedback": "<one sentence>" },
-    "rapport":           { "score": <0-100>, "feedback": "<one sentence>" },
-    "tonality":          { "score": <0-100>, "feedback": "<one sentence>" },
-    "timing":            { "score": <0-100>, "feedback": "<one sentence>" },
-    "closing":           { "score": <0-100>, "feedback": "<one sentence>" }
-  },
-  "summary": "<2-3 sentences describing how the session went>",
-  "keyStrength": "<one specific thing they did well>",
-  "keyImprovement": "<one specific thing to work on next time>"${goalInstruction ? ',\n  "goalAchieved": <true/false>,\n  "goalFeedback": "<one sentence>"' : ''}
+// On DIGEST_WEEKDAY from DIGEST_HOUR, every team with a digest subscriber gets
+// one digest.weekly event; the digest_runs row keeps it to one per team.
+async function sendWeeklyDigests() {
+  const now = (await pool.query(
+    `SELECT EXTRACT(ISODOW FROM NOW() AT TIME ZONE $1)::int AS weekday,
+            EXTRACT(HOUR FROM NOW() AT TIME ZONE $1)::int AS hour,
+            to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') AS today`,
+    [STREAK_TIMEZONE]
+  )).rows[0];
+  if (now.weekday !== DIGEST_WEEKDAY || now.hour < DIGEST_HOUR) return;
+  const { rows: teams } = await pool.query(
+    `SELECT t.id, t.name, t.organization_id FROM teams t
+     WHERE EXISTS (SELECT 1 FROM webhooks w
+                   WHERE w.organization_id = t.organization_id AND w.active AND w.events ? 'digest.weekly'
+                     AND (w.team_id IS NULL OR w.team_id = t.id))`
+  );
+  for (const team of teams) {
+    const claimed = await pool.query(
+      'INSERT INTO digest_runs (team_id, sent_on) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [team.id, now.today]
+    );
+    if (claimed.rowCount) await enqueueWebhookEvent(team.organization_id, team.id, 'digest.weekly', { digest: await weeklyDigest(team) });
+  }
 }
 
-Use any [Voice: ...] metrics in the rep's messages to inform tonality and timing scores. Ideal pace is 130-150 WPM.${goalInstruction}`,
-      }],
-    });
+setInterval(kickWebhookDeliveries, 60 * 1000).unref();
 
-    const raw = response.content[0].text.trim();
-    const objMatch = raw.match(/\{[\s\S]*\}/);
-    const result = JSON.parse(objMatch ? objMatch[0] : raw);
-    const { scorecard, ...analysis } = result;
+setInterval(() => {
+  sendWeeklyDigests().catch(err => console.error('Digest sweep error:', err.message));
+  pool.query(
+    "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - ($1 || ' days')::interval",
+    [WEBHOOK_KEEP_DAYS]
+  ).catch(err => console.error('Webhook delivery sweep error:', err.message));
+}, 30 * 60 * 1000).unref();
 
-    // Merge extra context into analysis before saving
-    const fullAnalysis = {
-      ...analysis,
-      ...(transcript     ? { transcript }     : {}),
-      ...(sessionGoal    ? { sessionGoal }     : {}),
-      ...(curriculumLesson ? { curriculumLesson } : {}),
-    };
+// Webhooks with their team name, queue counts and latest delivery.
+async function webhookRows(where, params) {
+  const { rows } = await pool.query(
+    `SELECT w.*, t.name AS team_name,
+       (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending,
+       (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed,
+       l.status AS last_status, l.created_at AS last_at, l.response_status AS last_response, l.last_error AS last_error
+     FROM webhooks w
+       LEFT JOIN teams t ON t.id = w.team_id
+       LEFT JOIN LATERAL (SELECT * FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) l ON TRUE
+     WHERE ${where}
+     ORDER BY w.created_at`,
+    params
+  );
+  return rows;
+}
 
-    if (repName && fullAnalysis.overall != null) {
-      await pool.query(
-        'INSERT INTO sessions (rep_name, duration, rep_messages, analysis) VALUES ($1, $2, $3, $4)',
-        [repName.trim(), duration || 0, repMessages || 0, JSON.stringify(fullAnalysis)]
-      );
-    }
+// The secret is only returned whole when it's created or rotated.
+function describeWebhook(row) {
+  return {
+    id:         row.id,
+    url:        row.url,
+    teamId:     row.team_id,
+    teamName:   row.team_name || null,
+    events:     row.events,
+    active:     row.active,
+    secretHint: '…' + row.secret.slice(-4),
+    pending:    row.pending,
+    failed:     row.failed,
+    lastDelivery: row.last_status
+      ? { status: row.last_status, at: row.last_at, responseStatus: row.last_response, error: row.last_error }
+      : null,
+    createdAt:  row.created_at,
+  };
+}
 
-    res.json({ scorecard, analysis: fullAnalysis });
-  } catch (err) {
-    console.error('End session error:', err.message);
-    res.status(500).json({ error: err.message });
+// Returns { error } or the cleaned fields for an insert/update. Only admins
+// may leave teamId empty for an organization-wide webhook.
+async function normalizeWebhook(body, user) {
+  const url    = String(body.url || '').trim();
+  const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+  const teamId = body.teamId ? parseInt(body.teamId) : null;
+  let parsed = null;
+  try { parsed = new URL(url); } catch (_) {}
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || url.length > 500) {
+    return { error: 'Enter an http:// or https:// URL (500 characters max).' };
   }
-});
-
-// ── Leaderboard (public) ──────────────────────────────────
-app.get('/leaderboard', async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT rep_name,
-         COUNT(*)::int AS session_count,
-         ROUND(AVG((analysis->>'overall')::numeric))::int AS avg_score,
-         MAX((analysis->>'overall')::numeric)::int AS best_score,
-         MAX(created_at) AS last_active
-       FROM sessions
-       GROUP BY rep_name
-       ORDER BY avg_score DESC
-       LIMIT 50`
-    );
-    res.json({ leaderboard: result.rows });
-  } catch (err) {
-    console.error('Leaderboard error:', err.message);
-    res.status(500).json({ error: err.message });
+  const hostError = await webhookHostError(url);
+  if (hostError) return { error: hostError };
+  if (events.length === 0 || events.some(e => !WEBHOOK_EVENTS[e])) {
+    return { error: `events must be one or more of ${Object.keys(WEBHOOK_EVENTS).join(', ')}.` };
   }
-});
+  if (teamId === null && user.role !== 'admin') return { error: 'Pick a team.' };
+  if (teamId !== null && !(await accessibleTeamIds(user)).includes(teamId)) return { error: 'You do not manage that team.' };
+  return { url, events, teamId, active: body.active !== false };
+}
 
-// ── Manager feedback ──────────────────────────────────────
-app.post('/manager/feedback', async (req, res) => {
-  if (!checkPin(req, res)) return;
+// The webhook if the user may manage it: admins any in their organization,
+// managers those on a team they manage.
+async function managedWebhook(user, id) {
+  const w = (await pool.query('SELECT * FROM webhooks WHERE id = $1 AND organization_id = $2', [parseInt(id) || 0, user.organizationId])).rows[0];
+  if (!w) return null;
+  if (user.role === 'admin') return w;
+  return w.team_id && (await accessibleTeamIds(user)).includes(w.team_id) ? w : null;
+}
+
+async function describeWebhookById(id) {
+  return describeWebhook((await webhookRows('w.id = $1', [id]))[0]);
+}
+
+app.get('/webhooks', requireManager, async (req, res) => {
   try {
-    const { repName, sessionId: sid, message } = req.body;
-    if (!repName || !message) return res.status(400).json({ error: 'repName and message required.' });
-    await pool.query(
-      'INSERT INTO session_feedback (rep_name, session_id, message) VALUES ($1, $2, $3)',
-      [repName.trim(), sid || null, message.trim()]
+    const teamIds = await accessibleTeamIds(req.user);
+    const rows = await webhookRows(
+      'w.organization_id = $1 AND (w.team_id = ANY($2::int[]) OR ($3 AND w.team_id IS NULL))',
+      [req.user.organizationId, teamIds, req.user.role === 'admin']
     );
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Feedback error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+    res.json({
+      webhooks: rows.map(describeWebhook),
+      events: Object.entries(WEBHOOK_EVENTS).map(([id, label]) => ({ id, label })),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Rep feedback (get) ────────────────────────────────────
-app.get('/feedback', async (req, res) => {
+app.post('/webhooks', requireManager, async (req, res) => {
   try {
-    const { name } = req.query;
-    if (!name) return res.status(400).json({ error: 'name query param required.' });
-    const result = await pool.query(
-      `SELECT id, message, session_id, created_at, read_at
-       FROM session_feedback
-       WHERE LOWER(rep_name) = LOWER($1)
-       ORDER BY created_at DESC LIMIT 20`,
-      [name.trim()]
+    const w = await normalizeWebhook(req.body, req.user);
+    if (w.error) return res.status(400).json({ error: w.error });
+    const secret = crypto.randomBytes(24).toString('hex');
+    const { rows } = await pool.query(
+      `INSERT INTO webhooks (organization_id, team_id, url, secret, events, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [req.user.organizationId, w.teamId, w.url, secret, JSON.stringify(w.events), w.active, req.user.id]
     );
-    res.json({ feedback: result.rows });
-  } catch (err) {
-    console.error('Get feedback error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+    res.json({ ...(await describeWebhookById(rows[0].id)), secret });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Rep feedback (mark read) ──────────────────────────────
-app.post('/feedback/read', async (req, res) => {
+app.patch('/webhooks/:id', requireManager, async (req, res) => {
   try {
-    const { ids } = req.body;
-    if (!ids || !ids.length) return res.json({ success: true });
+    const existing = await managedWebhook(req.user, req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Webhook not found.' });
+    const w = await normalizeWebhook(req.body, req.user);
+    if (w.error) return res.status(400).json({ error: w.error });
     await pool.query(
-      'UPDATE session_feedback SET read_at = NOW() WHERE id = ANY($1::int[])',
-      [ids]
+      'UPDATE webhooks SET team_id = $2, url = $3, events = $4, active = $5, updated_at = NOW() WHERE id = $1',
+      [existing.id, w.teamId, w.url, JSON.stringify(w.events), w.active]
     );
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Mark read error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+    if (w.active) kickWebhookDeliveries();
+    res.json(await describeWebhookById(existing.id));
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Legacy scorecard ──────────────────────────────────────
-app.post('/scorecard', async (req, res) => {
+// Deliveries already queued are signed with the new secret when they're sent.
+app.post('/webhooks/:id/secret', requireManager, async (req, res) => {
   try {
-    const { sessionId } = req.body || {};
-    const session = getSession(sessionId || 'default');
-    if (session.history.length === 0) return res.status(400).json({ error: 'No conversation to score yet.' });
-    const conversationText = session.history
-      .map(m => `${m.role === 'user' ? 'SALES REP' : 'HOMEOWNER/COACH'}: ${m.content}`)
-      .join('\n\n');
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: `Conversation:\n\n${conversationText}\n\nRate the rep 1-10 on each:\n\nOpening: [score]/10 — [feedback]\nObjection Handling: [score]/10 — [feedback]\nRapport: [score]/10 — [feedback]\nClosing Attempt: [score]/10 — [feedback]\nOverall: [score]/10 — [summary]` }],
-    });
-    res.json({ scorecard: response.content[0].text });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    const w = await managedWebhook(req.user, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Webhook not found.' });
+    const secret = crypto.randomBytes(24).toString('hex');
+    await pool.query('UPDATE webhooks SET secret = $2, updated_at = NOW() WHERE id = $1', [w.id, secret]);
+    res.json({ secret });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Legacy analyze ────────────────────────────────────────
-app.post('/analyze', async (req, res) => {
+app.delete('/webhooks/:id', requireManager, async (req, res) => {
   try {
-    const { sessionId } = req.body || {};
-    const session = getSession(sessionId || 'default');
-    if (session.history.length === 0) return res.status(400).json({ error: 'No conversation to analyze.' });
-    const conversationText = session.history
-      .map(m => `${m.role === 'user' ? 'SALES REP' : 'HOMEOWNER/COACH'}: ${m.content}`)
-      .join('\n\n');
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: `Analyze and return JSON only:\n\n${conversationText}\n\n{"overall":<0-100>,"breakdown":{"opening":{"score":<0-100>,"feedback":""},"objectionHandling":{"score":<0-100>,"feedback":""},"rapport":{"score":<0-100>,"feedback":""},"tonality":{"score":<0-100>,"feedback":""},"timing":{"score":<0-100>,"feedback":""},"closing":{"score":<0-100>,"feedback":""}},"summary":"","keyStrength":"","keyImprovement":""}` }],
-    });
-    const raw = response.content[0].text.trim();
-    const objMatch = raw.match(/\{[\s\S]*\}/);
-    const analysis = JSON.parse(objMatch ? objMatch[0] : raw);
-    res.json({ analysis });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    const w = await managedWebhook(req.user, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Webhook not found.' });
+    await pool.query('DELETE FROM webhooks WHERE id = $1', [w.id]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Save session (legacy) ─────────────────────────────────
-app.post('/save-session', async (req, res) => {
+// Queues a "ping" event for this webhook alone, whatever it subscribes to.
+app.post('/webhooks/:id/test', requireManager, async (req, res) => {
   try {
-    const { repName, duration, repMessages, analysis } = req.body;
-    if (!repName || !analysis) return res.status(400).json({ error: 'repName and analysis are required.' });
-    await pool.query(
-      'INSERT INTO sessions (rep_name, duration, rep_messages, analysis) VALUES ($1, $2, $3, $4)',
-      [repName.trim(), duration || 0, repMessages || 0, JSON.stringify(analysis)]
+    const w = await managedWebhook(req.user, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Webhook not found.' });
+    if (!w.active) return res.status(409).json({ error: 'Turn this webhook on to send a test.' });
+    const payload = {
+      id: crypto.randomUUID(), event: 'ping', createdAt: new Date(), organizationId: w.organization_id, teamId: w.team_id,
+      data: { webhookId: w.id, message: `Test delivery sent by ${req.user.name}.` },
+    };
+    const { rows } = await pool.query(
+      "INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES ($1, 'ping', $2) RETURNING id",
+      [w.id, JSON.stringify(payload)]
     );
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    kickWebhookDeliveries();
+    res.json({ deliveryId: rows[0].id });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Get sessions ──────────────────────────────────────────
-app.get('/sessions', async (req, res) => {
+app.get('/webhooks/:id/deliveries', requireManager, async (req, res) => {
   try {
-    const { name } = req.query;
-    if (!name) return res.status(400).json({ error: 'name query param required.' });
-    const result = await pool.query(
-      'SELECT * FROM sessions WHERE LOWER(rep_name) = LOWER($1) ORDER BY created_at DESC LIMIT 100',
-      [name.trim()]
+    const w = await managedWebhook(req.user, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Webhook not found.' });
+    const { rows } = await pool.query(
+      'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC LIMIT 50',
+      [w.id]
     );
-    res.json({ sessions: result.rows.map(r => ({ id: r.id, date: r.created_at, duration: r.duration, repMessages: r.rep_messages, analysis: r.analysis })) });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    res.json({ deliveries: rows.map(d => ({
+      id: d.id, event: d.event, status: d.status, attempts: d.attempts, responseStatus: d.response_status,
+      error: d.last_error, nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+      deliveredAt: d.delivered_at, createdAt: d.created_at,
+    })) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Knowledge files ───────────────────────────────────────
-app.post('/knowledge-file', async (req, res) => {
+// Sends a delivery again now, with a fresh set of retries.
+app.post('/webhooks/:id/deliveries/:deliveryId/retry', requireManager, async (req, res) => {
   try {
-    const { filename, content } = req.body;
-    if (!filename || !content) return res.status(400).json({ error: 'filename and content required.' });
-    const result = await pool.query('INSERT INTO knowledge_files (filename, content) VALUES ($1, $2) RETURNING id', [filename.trim(), content.trim()]);
-    knowledgeCache = null;
-    res.json({ success: true, id: result.rows[0].id });
+    const w = await managedWebhook(req.user, req.params.id);
+    if (!w) return res.status(404).json({ error: 'Webhook not found.' });
+    const result = await pool.query(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+       WHERE id = $1 AND webhook_id = $2 AND status <> 'pending'`,
+      [parseInt(req.params.deliveryId) || 0, w.id]
+    );
+    if (!result.rowCount) return res.status(404).json({ error: 'Delivery not found, or it is still queued.' });
+    kickWebhookDeliveries();
+    res.json({ success: true });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/knowledge-files', async (req, res) => {
+async function digestTeam(user, teamId) {
+  const ids = await teamScope(user, teamId);
+  if (!ids || ids.length !== 1) return null;
+  return (await pool.query('SELECT id, name, organization_id FROM teams WHERE id = $1', [ids[0]])).rows[0];
+}
+
+// ?teamId= — the digest the team would get if it went out now.
+app.get('/manager/digest', requireManager, async (req, res) => {
   try {
-    const result = await pool.query("SELECT id, filename, LEFT(content, 120) AS preview, uploaded_at FROM knowledge_files ORDER BY uploaded_at DESC");
-    res.json({ files: result.rows });
+    const team = await digestTeam(req.user, req.query.teamId);
+    if (!team) return res.status(400).json({ error: 'Pick one of your teams.' });
+    res.json({ digest: await weeklyDigest(team) });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.delete('/knowledge-file/:id', async (req, res) => {
+// Body: { teamId }. Sends the digest now, on top of the weekly one.
+app.post('/manager/digest', requireManager, async (req, res) => {
   try {
-    await pool.query('DELETE FROM knowledge_files WHERE id = $1', [req.params.id]);
-    knowledgeCache = null;
-    res.json({ success: true });
+    const team = await digestTeam(req.user, req.body.teamId);
+    if (!team) return res.status(400).json({ error: 'Pick one of your teams.' });
+    const ids = await enqueueWebhookEvent(team.organization_id, team.id, 'digest.weekly', { digest: await weeklyDigest(team) });
+    if (!ids.length) return res.status(400).json({ error: 'No active webhook for this team receives the weekly digest.' });
+    res.json({ deliveries: ids.length });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Manager endpoints ─────────────────────────────────────
-function checkPin(req, res) {
-  const pin = process.env.MANAGER_PIN || '1234';
-  if (req.query.pin !== pin && req.body?.pin !== pin) {
-    res.status(401).json({ error: 'Invalid PIN.' });
-    return false;
-  }
-  return true;
+// ── Exports ───────────────────────────────────────────────
+// CSV and PDF versions of the dashboard for sharing outside the app. They reuse
+// the dashboard queries and take the same ?days= window.
+const CATEGORY_LABELS = {
+  opening: 'Opening', objectionHandling: 'Objection Handling', rapport: 'Rapport',
+  tonality: 'Tonality', timing: 'Timing', closing: 'Closing',
+};
+const REPORT_MAX_TRANSCRIPTS = 5;
+
+// Leading formula characters are neutralised so spreadsheets don't evaluate rep-entered text.
+function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+}
+
+function exportFilename(...parts) {
+  return [...parts, new Date().toISOString().slice(0, 10)].join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-');
 }
 
-app.get('/manager/reps', async (req, res) => {
-  if (!checkPin(req, res)) return;
+app.get('/manager/export/sessions.csv', requireManager, async (req, res) => {
   try {
+    const teamIds = await teamScope(req.user, req.query.teamId);
+    if (!teamIds) return res.status(403).json({ error: 'You do not manage that team.' });
     const days = parseInt(req.query.days) || null;
     const result = await pool.query(
-      `SELECT rep_name, COUNT(*)::int AS session_count,
-         ROUND(AVG((analysis->>'overall')::numeric))::int AS avg_score,
-         MAX((analysis->>'overall')::numeric)::int AS best_score,
-         MAX(created_at) AS last_active,
-         json_agg(analysis ORDER BY created_at DESC) AS all_analyses
-       FROM sessions
-       ${days ? `WHERE created_at >= NOW() - ($1 || ' days')::interval` : ''}
-       GROUP BY rep_name ORDER BY avg_score DESC`,
-      days ? [days] : []
-    );
-    const reps = result.rows.map(row => {
-      const analyses = row.all_analyses || [];
-      const scores = analyses.map(a => a.overall || 0);
-      const latestScore = scores[0] || 0;
-      let improvement = null;
-      if (scores.length >= 4) {
-        const half = Math.floor(scores.length / 2);
-        const newer = scores.slice(0, half).reduce((a, b) => a + b, 0) / half;
-        const older = scores.slice(-half).reduce((a, b) => a + b, 0) / half;
-        improvement = Math.round(newer - older);
-      }
-      const catKeys = ['opening', 'objectionHandling', 'rapport', 'tonality', 'timing', 'closing'];
-      const catAvgs = {};
-      catKeys.forEach(k => {
-        const vals = analyses.map(a => a.breakdown?.[k]?.score).filter(v => v != null);
-        catAvgs[k] = vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : null;
-      });
-      return { name: row.rep_name, sessionCount: row.session_count, avgScore: row.avg_score, bestScore: row.best_score, latestScore, lastActive: row.last_active, improvement, catAvgs, topIssues: analyses.map(a => a.keyImprovement).filter(Boolean).slice(0, 3) };
+      `SELECT s.id, s.created_at, COALESCE(u.name, s.rep_name) AS rep_name, u.email, t.name AS team_name,
+              s.duration, s.rep_messages, s.analysis
+       FROM sessions s LEFT JOIN users u ON u.id = s.user_id LEFT JOIN teams t ON t.id = s.team_id
+       WHERE s.team_id = ANY($1::int[]) AND s.status = 'scored' ${days ? `AND s.created_at >= NOW() - ($2 || ' days')::interval` : ''}
+       ORDER BY s.created_at DESC`,
+      days ? [teamIds, days] : [teamIds]
+    );
+    const header = [
+      'session_id', 'date', 'rep', 'email', 'team', 'duration_seconds', 'rep_messages', 'overall',
+      ...ANALYSIS_CATEGORIES, 'session_goal', 'goal_achieved', 'key_strength', 'key_improvement', 'summary',
+    ];
+    const rows = result.rows.map(r => {
+      const a = r.analysis || {};
+      return [
+        r.id, r.created_at, r.rep_name, r.email, r.team_name, r.duration, r.rep_messages, a.overall,
+        ...ANALYSIS_CATEGORIES.map(k => a.breakdown?.[k]?.score),
+        a.sessionGoal, a.goalAchieved, a.keyStrength, a.keyImprovement, a.summary,
+      ];
     });
-    res.json({ reps });
+    const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename('d2d-sessions', days ? `last-${days}-days` : 'all-time')}.csv"`);
+    // The BOM makes Excel open the file as UTF-8
+    res.send('\uFEFF' + csv + '\r\n');
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/manager/sessions', async (req, res) => {
-  if (!checkPin(req, res)) return;
+function reportScoreColor(score) {
+  if (score >= 85) return '#d97706';
+  if (score >= 70) return '#059669';
+  if (score >= 50) return '#ea580c';
+  return '#dc2626';
+}
+
+// The built-in PDF fonts only cover Latin-1, so emoji and other symbols are dropped.
+function pdfText(text) {
+  return String(text ?? '').replace(/[^\x09\x0A\x0D\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026]/g, '').trim();
+}
+
+function renderRepReport(doc, { rep, sessions, feedback, transcripts, days }) {
+  const left  = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const fmtDate = d => new Date(d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const ensureSpace = h => { if (doc.y + h > doc.page.height - doc.page.margins.bottom) doc.addPage(); };
+  const heading = title => {
+    ensureSpace(60);
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(13).fillColor('#111111').text(title, left);
+    doc.moveDown(0.4);
+  };
+  const muted = text => doc.font('Helvetica').fontSize(10).fillColor('#666666').text(text, left);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#111111').text(`Coaching Report: ${pdfText(rep.name)}`);
+  muted(`${days ? `Last ${days} days` : 'All time'} · Generated ${fmtDate(Date.now())}`);
+
+  const stats = [
+    ['Sessions', rep.sessionCount], ['Average', `${rep.avgScore}%`], ['Best', `${rep.bestScore}%`],
+    ['Latest', `${rep.latestScore}%`], ['Trend', rep.improvement == null ? '-' : `${rep.improvement >= 0 ? '+' : ''}${rep.improvement}%`],
+  ];
+  const statTop = doc.y + 16, colW = width / stats.length;
+  stats.forEach(([label, value], i) => {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#111111').text(String(value), left + i * colW, statTop, { width: colW, align: 'center' });
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(label.toUpperCase(), left + i * colW, statTop + 22, { width: colW, align: 'center' });
+  });
+  doc.x = left; doc.y = statTop + 36;
+
+  heading('Score trend');
+  const pts = sessions.slice(0, 20).reverse().map(s => s.analysis.overall || 0);
+  if (pts.length < 2) {
+    muted('Not enough sessions in this period for a trend.');
+  } else {
+    const h = 110, x0 = left + 24, w = width - 24;
+    ensureSpace(h + 20);
+    const y0 = doc.y;
+    [0, 50, 100].forEach(v => {
+      const y = y0 + h - (v / 100) * h;
+      doc.moveTo(x0, y).lineTo(x0 + w, y).lineWidth(0.5).strokeColor('#dddddd').stroke();
+      doc.font('Helvetica').fontSize(8).fillColor('#999999').text(String(v), left, y - 3, { width: 18, align: 'right' });
+    });
+    const coords = pts.map((v, i) => [x0 + (i * w) / (pts.length - 1), y0 + h - (v / 100) * h]);
+    doc.moveTo(...coords[0]);
+    coords.slice(1).forEach(c => doc.lineTo(...c));
+    doc.lineWidth(1.5).strokeColor('#7c3aed').stroke();
+    coords.forEach((c, i) => doc.circle(c[0], c[1], 3).fill(reportScoreColor(pts[i])));
+    doc.font('Helvetica').fontSize(8).fillColor('#999999')
+      .text('Oldest', x0, y0 + h + 5)
+      .text('Most recent', x0, y0 + h + 5, { width: w, align: 'right' });
+    doc.x = left; doc.y = y0 + h + 18;
+  }
+
+  heading('Category averages');
+  ensureSpace(ANALYSIS_CATEGORIES.length * 18);
+  ANALYSIS_CATEGORIES.forEach(k => {
+    const v = rep.catAvgs[k], y = doc.y, barX = left + 130, barW = width - 180;
+    doc.font('Helvetica').fontSize(10).fillColor('#333333').text(CATEGORY_LABELS[k], left, y, { width: 120 });
+    doc.rect(barX, y + 1, barW, 9).fill('#eeeeee');
+    if (v != null) doc.rect(barX, y + 1, (barW * v) / 100, 9).fill(reportScoreColor(v));
+    doc.fillColor('#111111').text(v == null ? '-' : `${v}%`, left + width - 40, y, { width: 40, align: 'right' });
+    doc.x = left; doc.y = y + 18;
+  });
+
+  heading('Top issues');
+  if (!rep.topIssues.length) muted('No improvement notes in this period.');
+  rep.topIssues.forEach((issue, i) => {
+    doc.font('Helvetica').fontSize(10).fillColor('#111111').text(`${i + 1}. ${pdfText(issue)}`, left, doc.y, { width });
+    doc.moveDown(0.3);
+  });
+
+  heading('Manager feedback');
+  if (!feedback.length) muted('No feedback sent in this period.');
+  feedback.forEach(f => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#666666')
+      .text(`${fmtDate(f.created_at)}${f.author ? ` · ${pdfText(f.author)}` : ''}${f.session_id ? ` · Session #${f.session_id}` : ''}`, left);
+    const context = f.category ? `${CATEGORY_LABELS[f.category]} score ${f.ai_score}% -> ${f.score}%: `
+      : f.quote ? `On "${f.quote}": ` : '';
+    doc.font('Helvetica').fontSize(10).fillColor('#111111').text(pdfText(context + f.message), left, doc.y, { width });
+    doc.moveDown(0.5);
+  });
+
+  transcripts.forEach(s => {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#111111').text(`Transcript: session #${s.id}`);
+    muted(`${fmtDate(s.date)} · ${s.analysis.overall}%${s.analysis.sessionGoal ? ` · Goal: ${pdfText(s.analysis.sessionGoal)}` : ''}`);
+    doc.moveDown(0.6);
+    s.turns.flatMap(turnLines).forEach(([speaker, text]) => {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(speaker === 'COACH' ? '#7c3aed' : '#111111').text(`${speaker}: `, { continued: true });
+      doc.font('Helvetica').fillColor(speaker === 'COACH' ? '#7c3aed' : '#333333').text(pdfText(text));
+      doc.moveDown(0.25);
+    });
+  });
+}
+
+// ?transcripts= takes a comma-separated list of session ids to append in full.
+app.get('/manager/reports/rep.pdf', requireManager, async (req, res) => {
   try {
-    const { rep, days } = req.query;
-    if (!rep) return res.status(400).json({ error: 'rep query param required.' });
-    const daysInt = parseInt(days) || null;
-    const result = await pool.query(
-      `SELECT * FROM sessions WHERE LOWER(rep_name) = LOWER($1) ${daysInt ? `AND created_at >= NOW() - ($2 || ' days')::interval` : ''} ORDER BY created_at DESC LIMIT 100`,
-      daysInt ? [rep.trim(), daysInt] : [rep.trim()]
-    );
-    res.json({ sessions: result.rows.map(r => ({ id: r.id, date: r.created_at, duration: r.duration, repMessages: r.rep_messages, analysis: r.analysis })) });
+    const { userId, rep: repName } = req.query;
+    if (!userId && !repName) return res.status(400).json({ error: 'userId or rep query param required.' });
+    const days = parseInt(req.query.days) || null;
+    const teamIds = await accessibleTeamIds(req.user);
+    const rep = (await getRepStats(teamIds, days)).find(r => userId
+      ? r.userId === parseInt(userId)
+      : !r.userId && r.name.toLowerCase() === repName.trim().toLowerCase());
+    if (!rep) return res.status(404).json({ error: 'No scored sessions for that rep in this period.' });
+    const sessions = await getRepSessions(teamIds, { userId, rep: repName, days });
+
+    const repFilter = userId ? 'f.user_id = $1' : 'f.user_id IS NULL AND LOWER(f.rep_name) = LOWER($1)';
+    const feedback = (await pool.query(
+      `SELECT f.message, f.session_id, f.quote, f.category, f.score, f.ai_score, f.created_at, u.name AS author
+       FROM session_feedback f LEFT JOIN users u ON u.id = f.author_id
+       WHERE ${repFilter} AND f.team_id = ANY($2::int[]) ${days ? `AND f.created_at >= NOW() - ($3 || ' days')::interval` : ''}
+       ORDER BY f.created_at DESC LIMIT 50`,
+      days ? [userId || repName.trim(), teamIds, days] : [userId || repName.trim(), teamIds]
+    )).rows;
+
+    const wanted = String(req.query.transcripts || '').split(',').map(id => parseInt(id)).filter(Boolean);
+    const transcripts = sessions.filter(s => wanted.includes(s.id) && s.turns.length).slice(0, REPORT_MAX_TRANSCRIPTS);
+
+    // Render fully before piping so a rendering error can still return a JSON 500
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Coaching Report: ${pdfText(rep.name)}` } });
+    renderRepReport(doc, { rep, sessions, feedback, transcripts, days });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename('coaching-report', rep.name)}.pdf"`);
+    doc.pipe(res);
+    doc.end();
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── Reset ─────────────────────────────────────────────────
-app.post('/reset', (req, res) => {
-  const { sessionId } = req.body || {};
-  if (sessionId) activeSessions.delete(sessionId);
-  res.json({ success: true });
+app.post('/reset', requireAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    if (sessionId) await pool.query('DELETE FROM live_sessions WHERE id = $1 AND user_id = $2', [sessionId, req.user.id]);
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`D2D Roofing Sales Coach running at http://localhost:${PORT}`));
+// Background sweeps are unref()'d, so a test that requires this module, awaits
+// dbReady and ends the pool exits on its own; see test/flow.test.js.
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log(`D2D Roofing Sales Coach running at http://localhost:${PORT} (LLM provider: ${llm.provider})`));
+}
+
+module.exports = {
+  app, pool, llm, dbReady, createUser,
+  // Pure helpers covered by test/unit.test.js
+  validateAnalysis, chunkDocument, buildKnowledgeIndex, searchKnowledge, decodeWav, encodeWav, voiceMetrics,
+  practiceStreaks, BADGES, webhookSignature, csvCell,
+};
@@ -0,0 +1,85 @@
+// End-to-end practice flow against a real Postgres and the mock LLM provider:
+// log in, chat, end the session, and find the score on the leaderboard.
+//
+//   TEST_DATABASE_URL=postgres://… npm test
+//
+// Opt-in, and never read from .env, so it can't write to a database by
+// accident. Everything is created in a throwaway team that is deleted afterwards.
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const skip = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+describe('practice flow', { skip }, () => {
+  let server, base, pool, team, cookie;
+  const sessionId = `test-${Date.now()}`;
+
+  async function call(path, body) {
+    const res = await fetch(base + path, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json', Cookie: cookie || '' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  before(async () => {
+    process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+    process.env.LLM_PROVIDER = 'mock';
+    const coach = require('../server');
+    pool = coach.pool;
+    await coach.dbReady;
+    const org = (await pool.query('SELECT id FROM organizations ORDER BY id LIMIT 1')).rows[0];
+    team = (await pool.query('INSERT INTO teams (organization_id, name) VALUES ($1, $2) RETURNING id', [org.id, sessionId])).rows[0];
+    await coach.createUser({
+      email: `${sessionId}@example.com`, name: 'Test Rep', password: 'testpass123', organizationId: org.id, teamId: team.id,
+    });
+    server = coach.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (!pool) return;
+    if (team) {
+      for (const table of ['sessions', 'live_sessions', 'llm_usage']) {
+        await pool.query(`DELETE FROM ${table} WHERE team_id = $1`, [team.id]);
+      }
+      await pool.query('DELETE FROM users WHERE team_id = $1', [team.id]);
+      await pool.query('DELETE FROM teams WHERE id = $1', [team.id]);
+    }
+    await pool.end();
+  });
+
+  test('logs in', async () => {
+    const res = await call('/auth/login', { email: `${sessionId}@example.com`, password: 'testpass123' });
+    assert.equal(res.status, 200);
+    cookie = res.headers.get('set-cookie').split(';')[0];
+  });
+
+  test('chats with the homeowner', async () => {
+    const res = await call('/chat', { message: 'Hi, I was just working on your neighbor\'s roof.', sessionId });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.homeowner);
+  });
+
+  test('ends the session with a server-side score', async () => {
+    const res = await call('/end-session', { sessionId, duration: 60, repMessages: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.analysis.overall, 'number');
+  });
+
+  test('refuses to end the same session twice', async () => {
+    const res = await call('/end-session', { sessionId, duration: 60, repMessages: 1 });
+    assert.equal(res.status, 409);
+  });
+
+  test('lists the rep on the team leaderboard', async () => {
+    const res = await call(`/leaderboard?teamId=${team.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.leaderboard.length, 1);
+    assert.equal(res.body.leaderboard[0].rep_name, 'Test Rep');
+    assert.equal(res.body.leaderboard[0].session_count, 1);
+  });
+});
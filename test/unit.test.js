@@ -0,0 +1,237 @@
+// Pure helpers from server.js that need no database or model.
+//
+//   npm test
+//
+// DATABASE_URL points at a closed port before server.js is loaded, so its
+// startup migration fails at once instead of reaching a database named in .env.
+const { describe, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.DATABASE_URL   = 'postgres://127.0.0.1:1/unit-tests';
+process.env.LLM_PROVIDER   = 'mock';
+process.env.STT_PROVIDER   = 'none';
+process.env.KB_CHUNK_CHARS = '100';
+const coach = require('../server');
+
+after(() => coach.pool.end());
+
+describe('validateAnalysis', () => {
+  const CATEGORIES = ['opening', 'objectionHandling', 'rapport', 'tonality', 'timing', 'closing'];
+  const analysis = (overrides = {}) => ({
+    overall: 72,
+    breakdown: Object.fromEntries(CATEGORIES.map(k => [k, { score: 70, feedback: 'Fine.' }])),
+    scorecard: 'Scorecard.', summary: 'Summary.', keyStrength: 'Strength.', keyImprovement: 'Improvement.',
+    ...overrides,
+  });
+
+  test('accepts a complete analysis', () => {
+    assert.deepEqual(coach.validateAnalysis(analysis(), { withGoal: false }), []);
+  });
+
+  test('repairs numeric strings and fractional scores in place', () => {
+    const a = analysis({ overall: '81.6' });
+    a.breakdown.rapport.score = 64.4;
+    assert.deepEqual(coach.validateAnalysis(a, { withGoal: false }), []);
+    assert.equal(a.overall, 82);
+    assert.equal(a.breakdown.rapport.score, 64);
+  });
+
+  test('reports scores out of range and missing fields', () => {
+    const a = analysis({ overall: 140, summary: ' ' });
+    delete a.breakdown.closing;
+    a.breakdown.timing.score = 'soon';
+    const errors = coach.validateAnalysis(a, { withGoal: false });
+    assert.deepEqual(errors, [
+      'overall must be from 0 to 100 (got 140).',
+      'breakdown.timing.score must be an integer from 0 to 100.',
+      'breakdown.closing is required.',
+      'summary must be a non-empty string.',
+    ]);
+    assert.deepEqual(coach.validateAnalysis(null, { withGoal: false }), ['The analysis must be an object.']);
+  });
+
+  test('requires the goal verdict when the rep set a goal', () => {
+    assert.deepEqual(coach.validateAnalysis(analysis(), { withGoal: true }), [
+      'goalAchieved must be true or false because the rep set a goal.',
+      'goalFeedback must be a non-empty string.',
+    ]);
+    assert.deepEqual(coach.validateAnalysis(analysis({ goalAchieved: true, goalFeedback: 'Done.' }), { withGoal: true }), []);
+  });
+
+  test('only accepts objections from the catalog', () => {
+    const objections = [{ name: 'Too expensive' }];
+    assert.deepEqual(coach.validateAnalysis(analysis(), { withGoal: false, objections }),
+      ['objections must be an array (empty if none from the catalog came up).']);
+    const a = analysis({ objections: [
+      { objection: 'Too expensive', score: '55', feedback: 'Good reframe.' },
+      { objection: 'Made up', score: 50, feedback: 'Hmm.' },
+    ] });
+    assert.deepEqual(coach.validateAnalysis(a, { withGoal: false, objections }),
+      ['objections[1].objection must be one of the catalog names.']);
+    assert.equal(a.objections[0].score, 55);
+  });
+});
+
+describe('chunkDocument', () => {
+  test('keeps the nearest heading with each chunk', () => {
+    const chunks = coach.chunkDocument('# Pricing\n\nWe quote per square.\n\n## Financing\n\nZero down for 12 months.');
+    assert.deepEqual(chunks, ['# Pricing\nWe quote per square.', '## Financing\nZero down for 12 months.']);
+  });
+
+  test('packs short paragraphs together up to the chunk size', () => {
+    const para = 'Ask about the age of the roof first.';
+    const chunks = coach.chunkDocument([para, para, para, para].join('\n\n'));
+    assert.equal(chunks.length, 2);
+    assert.equal(chunks[0], `${para}\n\n${para}`);
+  });
+
+  test('splits long paragraphs between words', () => {
+    const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+    const chunks = coach.chunkDocument(words.join(' '));
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.length <= 100));
+    assert.deepEqual(chunks.join(' ').split(' '), words);
+  });
+
+  test('hard-splits text with no whitespace', () => {
+    const text = 'x'.repeat(250);
+    assert.deepEqual(coach.chunkDocument(text).map(c => c.length), [100, 100, 50]);
+  });
+});
+
+describe('searchKnowledge', () => {
+  const index = coach.buildKnowledgeIndex([
+    { filename: 'pricing.md', content: 'Financing is available with zero down. Monthly payments start at $99.' },
+    { filename: 'storms.md', content: 'Hail damage often hides on the ridge. Check the gutters for granules.' },
+    { filename: 'closing.md', content: 'Ask for the inspection appointment before you leave the porch.' },
+  ]);
+
+  test('ranks the chunk that matches the query first', () => {
+    const results = coach.searchKnowledge(index, 'Do you offer financing?');
+    assert.equal(results[0].filename, 'pricing.md');
+    assert.deepEqual(coach.searchKnowledge(index, 'hail on my ridge').map(c => c.filename), ['storms.md']);
+  });
+
+  test('returns nothing for unrelated queries or an empty index', () => {
+    assert.deepEqual(coach.searchKnowledge(index, 'quarterly tax filing'), []);
+    assert.deepEqual(coach.searchKnowledge(coach.buildKnowledgeIndex([]), 'financing'), []);
+  });
+
+  test('honours the limit', () => {
+    assert.equal(coach.searchKnowledge(index, 'financing hail inspection', 2).length, 2);
+  });
+});
+
+describe('decodeWav and voiceMetrics', () => {
+  const RATE = 16000;
+  const tone = (seconds, hz = 200) => Float32Array.from({ length: seconds * RATE }, (_, i) => 0.3 * Math.sin(2 * Math.PI * hz * i / RATE));
+  const concat = (...parts) => {
+    const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((at, p) => { out.set(p, at); return at + p.length; }, 0);
+    return out;
+  };
+
+  test('round-trips 16-bit WAV', () => {
+    const samples = tone(0.5);
+    const decoded = coach.decodeWav(coach.encodeWav(samples, RATE));
+    assert.equal(decoded.sampleRate, RATE);
+    assert.equal(decoded.samples.length, samples.length);
+    assert.ok(decoded.samples.every((v, i) => Math.abs(v - samples[i]) < 1e-3));
+  });
+
+  test('returns null for other formats and rejects WAV without audio', () => {
+    assert.equal(coach.decodeWav(Buffer.from('OggS not a wav file')), null);
+    const header = coach.encodeWav(new Float32Array(0), RATE).subarray(0, 36);
+    assert.throws(() => coach.decodeWav(header), err => err.status === 415);
+  });
+
+  test('measures pace, pauses, fillers and pitch', () => {
+    const samples = concat(tone(2), new Float32Array(RATE), tone(2));
+    const m = coach.voiceMetrics(samples, RATE, 'So, um, we are like, doing uh free inspections on your street today');
+    assert.equal(m.durationSeconds, 5);
+    assert.equal(m.speakingSeconds, 5);
+    assert.equal(m.pauseCount, 1);
+    assert.equal(m.longPauseCount, 0);
+    assert.ok(Math.abs(m.longestPauseSeconds - 1) <= 0.1);
+    assert.equal(m.wordCount, 13);
+    assert.ok(Math.abs(m.wpm - 156) <= 2);
+    assert.deepEqual(m.fillers, { um: 1, like: 1, uh: 1 });
+    assert.equal(m.fillerCount, 3);
+    assert.ok(Math.abs(m.pitchHz - 200) <= 5);
+    assert.equal(m.pitch, 'Monotone');
+  });
+
+  test('reports silence as no speech', () => {
+    const m = coach.voiceMetrics(new Float32Array(RATE), RATE, '');
+    assert.equal(m.speakingSeconds, 0);
+    assert.equal(m.wpm, 0);
+    assert.equal(m.energy, null);
+    assert.equal(m.pitch, null);
+  });
+});
+
+describe('practiceStreaks and BADGES', () => {
+  const earned = stats => coach.BADGES.filter(b => b.earned({ scores: [], bestStreak: 0, wins: 0, ...stats })).map(b => b.id);
+
+  test('counts the current run and the longest one', () => {
+    assert.deepEqual(coach.practiceStreaks(['2026-03-05', '2026-03-04', '2026-03-03', '2026-02-20', '2026-02-19']), { current: 3, best: 3 });
+    assert.deepEqual(coach.practiceStreaks(['2026-03-05', '2026-03-03', '2026-03-02', '2026-03-01']), { current: 1, best: 3 });
+    assert.deepEqual(coach.practiceStreaks([]), { current: 0, best: 0 });
+  });
+
+  test('counts across a month boundary', () => {
+    assert.deepEqual(coach.practiceStreaks(['2026-03-01', '2026-02-28', '2026-02-27']), { current: 3, best: 3 });
+  });
+
+  test('awards badges from scores, streaks and wins', () => {
+    assert.deepEqual(earned({}), []);
+    assert.deepEqual(earned({ scores: [60] }), ['first-step']);
+    assert.deepEqual(earned({ scores: [86, 80, 78, 75, 72] }), ['first-step', 'elite', 'consistent']);
+    assert.deepEqual(earned({ scores: [80, 70, 65, 60] }), ['first-step', 'level-up']);
+    assert.deepEqual(earned({ scores: [80, 70, 65] }), ['first-step']);
+    assert.deepEqual(earned({ bestStreak: 3, wins: 1 }), ['on-a-roll', 'champion']);
+    assert.ok(earned({ scores: Array(25).fill(50) }).includes('machine'));
+  });
+});
+
+describe('webhookSignature', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = '{"event":"session.scored"}';
+    assert.equal(coach.webhookSignature('whsec_test', 1700000000, body),
+      'sha256=7d4c67b53d96a96609eb2d6cb4c5ed79a6e2724995f9ac44839f41360264950b');
+    assert.notEqual(coach.webhookSignature('whsec_other', 1700000000, body), coach.webhookSignature('whsec_test', 1700000000, body));
+    assert.notEqual(coach.webhookSignature('whsec_test', 1700000001, body), coach.webhookSignature('whsec_test', 1700000000, body));
+  });
+
+  test('verifies the way scripts/webhook-receiver.js does', () => {
+    const body = JSON.stringify({ event: 'feedback.created', data: { id: 1 } });
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'whsec_test').update(`42.${body}`).digest('hex');
+    assert.equal(coach.webhookSignature('whsec_test', 42, body), expected);
+  });
+});
+
+describe('csvCell', () => {
+  test('quotes text and escapes quotes', () => {
+    assert.equal(coach.csvCell('Pat "the closer" Lee'), '"Pat ""the closer"" Lee"');
+    assert.equal(coach.csvCell('a,b\nc'), '"a,b\nc"');
+  });
+
+  test('leaves numbers and booleans bare and empties null', () => {
+    assert.equal(coach.csvCell(72), '72');
+    assert.equal(coach.csvCell(false), 'false');
+    assert.equal(coach.csvCell(null), '');
+    assert.equal(coach.csvCell(undefined), '');
+  });
+
+  test('neutralises spreadsheet formulas', () => {
+    assert.equal(coach.csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(coach.csvCell('+1'), '"\'+1"');
+    assert.equal(coach.csvCell('-5'), '"\'-5"');
+    assert.equal(coach.csvCell('@SUM(A1)'), '"\'@SUM(A1)"');
+  });
+
+  test('formats dates as ISO timestamps', () => {
+    assert.equal(coach.csvCell(new Date('2026-03-05T12:00:00Z')), '"2026-03-05T12:00:00.000Z"');
+  });
+});